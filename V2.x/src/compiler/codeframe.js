@@ -0,0 +1,92 @@
+/* @flow */
+
+// 出错位置前后各展示的行数
+const range = 2
+
+/**
+ * Format the part of a template around an error: a few numbered lines
+ * with the [start, end) range underlined by carets.
+ * 例如
+ * 1 | <div>
+ * 2 |   <p>{{ a + }}</p>
+ *   |      ^^^^^^^^^
+ * 3 | </div>
+ */
+export function generateCodeFrame (
+  source: string,
+  start: number = 0,
+  end: number = source.length
+): string {
+  start = Math.max(0, Math.min(start, source.length))
+  end = Math.max(start, Math.min(end, source.length))
+  const lines = source.split(/\r?\n/)
+  const lineStarts = getLineStarts(source)
+  const first = getLineIndex(lineStarts, start)
+  // end是开区间，所以最后一个被标记的字符在end - 1处
+  const last = getLineIndex(lineStarts, end > start ? end - 1 : start)
+  const from = Math.max(0, first - range)
+  const to = Math.min(lines.length - 1, last + range)
+  const gutter = String(to + 1).length
+
+  const res = []
+  for (let i = from; i <= to; i++) {
+    res.push(`${pad(String(i + 1), gutter)} | ${lines[i]}`)
+    if (i >= first && i <= last) {
+      const lineStart = lineStarts[i]
+      const col = i === first ? start - lineStart : 0
+      const colEnd = i === last ? end - lineStart : lines[i].length
+      res.push(
+        `${repeat(' ', gutter)} | ${repeat(' ', col)}${repeat('^', Math.max(1, colEnd - col))}`
+      )
+    }
+  }
+  return res.join('\n')
+}
+
+/**
+ * Turn an offset in the source into a 1-based line and column.
+ */
+export function getLocation (
+  source: string,
+  offset: number
+): { line: number, column: number } {
+  const lineStarts = getLineStarts(source)
+  offset = Math.max(0, Math.min(offset, source.length))
+  const line = getLineIndex(lineStarts, offset)
+  return {
+    line: line + 1,
+    column: offset - lineStarts[line] + 1
+  }
+}
+
+// 每一行第一个字符的偏移量，换行符可能是\n也可能是\r\n
+export function getLineStarts (source: string): Array<number> {
+  const starts = [0]
+  const lineBreakRE = /\r?\n/g
+  let match
+  while ((match = lineBreakRE.exec(source))) {
+    starts.push(match.index + match[0].length)
+  }
+  return starts
+}
+
+export function getLineIndex (lineStarts: Array<number>, offset: number): number {
+  let i = lineStarts.length - 1
+  while (i > 0 && lineStarts[i] > offset) {
+    i--
+  }
+  return i
+}
+
+function pad (str: string, length: number): string {
+  return repeat(' ', length - str.length) + str
+}
+
+export function repeat (str: string, n: number): string {
+  let result = ''
+  while (n > 0) {
+    result += str
+    n--
+  }
+  return result
+}
@@ -1,5 +1,7 @@
 /* @flow */
 
+import { genPosition } from './source-map'
+
 const fnExpRE = /^([\w$_]+|\([^)]*?\))\s*=>|^function\s*\(/
 const simplePathRE = /^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*|\['[^']*?']|\["[^"]*?"]|\[\d+]|\[[A-Za-z_$][\w$]*])*$/
 
@@ -52,11 +54,15 @@ const modifierCode: { [key: string]: string } = {
 export function genHandlers (
   events: ASTElementHandlers,
   isNative: boolean,
-  warn: Function
+  warn: Function,
+  sourceMap?: boolean
 ): string {
   let res = isNative ? 'nativeOn:{' : 'on:{'
   for (const name in events) {
-    res += `"${name}":${genHandler(name, events[name])},`
+    const handler = events[name]
+    res += `"${name}":${
+      Array.isArray(handler) ? '' : genPosition(handler.start, !!sourceMap)
+    }${genHandler(name, handler)},`
   }
   return res.slice(0, -1) + '}'
 }
@@ -5,12 +5,26 @@
 import { genHandlers } from './events'
 import baseDirectives from '../directives/index'
 import { camelize, no, extend } from 'shared/util'
+import { PatchFlags, MODULE_RENDER_HELPERS } from 'shared/constants'
 import { baseWarn, pluckModuleFunction } from '../helpers'
+import { genPosition } from './source-map'
+import { prefixIdentifiers } from './prefix-identifiers'
 
 type TransformFunction = (el: ASTElement, code: string) => string;
 type DataGenFunction = (el: ASTElement) => string;
 type DirectiveFunction = (el: ASTElement, dir: ASTDirective, warn: Function) => boolean;
 
+// ids of flagged template nodes are numbered per compilation and combined
+// with a hash of the generated code (see resolvePatchIds), so that they only
+// depend on the template, and the patch never trusts the flags of a
+// look-alike node from another template
+const patchIdRE = /patchId:"\u0000(\d+)"/g
+
+// the names render functions with prefixed identifiers declare, see
+// genFunctionBody. _ctx is the render context of functional components
+const renderFnLocals = ['_h', '_ctx', '_vm']
+const isModuleHelper = (name: string): boolean => MODULE_RENDER_HELPERS.indexOf(name) > -1
+
 export class CodegenState {
   options: CompilerOptions;
   warn: Function;
@@ -19,7 +33,11 @@ export class CodegenState {
   directives: { [key: string]: DirectiveFunction };
   maybeComponent: (el: ASTElement) => boolean;
   onceId: number;
+  patchId: number;
   staticRenderFns: Array<string>;
+  inBlock: boolean;
+  sourceMap: boolean;
+  prefixIdentifiers: boolean;
 
   constructor (options: CompilerOptions) {
     this.options = options
@@ -30,13 +48,21 @@ export class CodegenState {
     const isReservedTag = options.isReservedTag || no
     this.maybeComponent = (el: ASTElement) => !isReservedTag(el.tag)
     this.onceId = 0
+    this.patchId = 0
     this.staticRenderFns = []
+    this.inBlock = false
+    // 在生成的代码中标记模板位置，由compile函数转换为source map
+    this.sourceMap = !!options.sourceMap
+    // 输出ES模块时不能使用with(this)，模板中的标识符改为通过_vm访问
+    this.prefixIdentifiers = !!options.esModule
   }
 }
 
 export type CodegenResult = {
   render: string,
-  staticRenderFns: Array<string>
+  staticRenderFns: Array<string>,
+  // the helpers to import, only for prefixed identifiers
+  helpers?: Array<string>
 };
 
 // 实例
@@ -71,10 +97,68 @@ export function generate (
 ): CodegenResult {
   const state = new CodegenState(options)
   const code = ast ? genElement(ast, state) : '_c("div")'
+  const { render, staticRenderFns } = resolvePatchIds(
+    genFunctionBody(code, state),
+    state.staticRenderFns
+  )
+  if (!state.prefixIdentifiers) {
+    return {
+      render,
+      staticRenderFns
+    }
+  }
+  const helpers = []
+  const prefix = (body: string): string => {
+    let res
+    try {
+      res = prefixIdentifiers(body, renderFnLocals, isModuleHelper)
+    } catch (e) {
+      // 模板中有语法错误的表达式，渲染代码本身就无法运行，错误由detectErrors报告
+      state.warn(`Failed to prefix the identifiers of the render function: ${e.message}`)
+      return body
+    }
+    res.helpers.forEach(name => {
+      if (helpers.indexOf(name) < 0) helpers.push(name)
+    })
+    return res.code
+  }
+  return {
+    render: prefix(render),
+    staticRenderFns: staticRenderFns.map(prefix),
+    helpers
+  }
+}
+
+/**
+ * Replace the per-compilation patchId placeholders of the generated code
+ * with ids prefixed by a hash of that code.
+ */
+export function resolvePatchIds (
+  render: string,
+  staticRenderFns: Array<string>
+): { render: string, staticRenderFns: Array<string> } {
+  const hash = hashCode(render + staticRenderFns.join(''))
+  const replace = code => code.replace(patchIdRE, (_, id) => `patchId:"${hash}_${id}"`)
   return {
-    render: `with(this){return ${code}}`,
-    staticRenderFns: state.staticRenderFns
+    render: replace(render),
+    staticRenderFns: staticRenderFns.map(replace)
+  }
+}
+
+// djb2
+function hashCode (str: string): string {
+  let hash = 5381
+  for (let i = 0; i < str.length; i++) {
+    hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0
   }
+  return (hash >>> 0).toString(36)
+}
+
+// 渲染函数的函数体，函数由调用方包装：new Function或者ES模块中的function (_h, _ctx) {}
+function genFunctionBody (code: string, state: CodegenState): string {
+  return state.prefixIdentifiers
+    ? `var _vm=_ctx||this;return ${code}`
+    : `with(this){return ${code}}`
 }
 
 export function genElement (el: ASTElement, state: CodegenState): string {
@@ -93,10 +177,17 @@ export function genElement (el: ASTElement, state: CodegenState): string {
   } else {
     // component or element
     let code
+    // 块内的节点要么被追踪为动态节点，要么是静态结构；
+    // 结构会变化的子节点(v-if/v-for/插槽/组件)所在的元素是完整对比的边界
+    const inBlock = state.inBlock
+    const block = !inBlock && isBlockRoot(el, state)
+    const boundary = isBoundary(el, state)
+    const tracked = inBlock && !el.static && (!el.plain || boundary)
+    state.inBlock = (inBlock || block) && !boundary && !state.maybeComponent(el)
     if (el.component) {
       code = genComponent(el.component, el, state)
     } else {
-      const data = el.plain ? undefined : genData(el, state)
+      const data = el.plain && !block && !tracked ? undefined : genData(el, state)
 
       const children = el.inlineTemplate ? null : genChildren(el, state, true)
       code = `_c('${el.tag}'${
@@ -105,18 +196,54 @@ export function genElement (el: ASTElement, state: CodegenState): string {
         children ? `,${children}` : '' // children
       })`
     }
+    state.inBlock = inBlock
     // module transforms
     for (let i = 0; i < state.transforms.length; i++) {
       code = state.transforms[i](el, code)
     }
-    return code
+    if (block) {
+      code = `(_ob(),_cb(${code}))`
+    } else if (tracked) {
+      code = `_d(${code})`
+    }
+    return genPosition(el.start, state.sourceMap) + code
   }
 }
 
+// a child that may change the shape of its parent's children, or that can
+// not be flagged, so its parent has to be diffed in full
+function isStructural (el: ASTNode, state: CodegenState): boolean {
+  return el.type === 1 && (
+    !!el.for ||
+    !!el.if ||
+    !!el.key ||
+    !!el.once ||
+    el.tag === 'template' ||
+    el.tag === 'slot' ||
+    !isFlaggable(el, state)
+  )
+}
+
+function isBoundary (el: ASTElement, state: CodegenState): boolean {
+  return el.children.some(c => isStructural(c, state))
+}
+
+// a stable element outside of any block, whose dynamic descendants are
+// worth collecting into a flat list
+function isBlockRoot (el: ASTElement, state: CodegenState): boolean {
+  return (
+    !el.static &&
+    !el.once &&
+    isFlaggable(el, state) &&
+    !isBoundary(el, state) &&
+    el.children.some(c => !c.static)
+  )
+}
+
 // hoist static sub-trees out
 function genStatic (el: ASTElement, state: CodegenState): string {
   el.staticProcessed = true
-  state.staticRenderFns.push(`with(this){return ${genElement(el, state)}}`)
+  state.staticRenderFns.push(genFunctionBody(genElement(el, state), state))
   return `_m(${
     state.staticRenderFns.length - 1
   }${
@@ -141,7 +268,8 @@ function genOnce (el: ASTElement, state: CodegenState): string {
     }
     if (!key) {
       process.env.NODE_ENV !== 'production' && state.warn(
-        `v-once can only be used inside v-for that is keyed. `
+        `v-once can only be used inside v-for that is keyed. `,
+        el.rawAttrsMap['v-once']
       )
       return genElement(el, state)
     }
@@ -173,7 +301,9 @@ function genIfConditions (
 
   const condition = conditions.shift()
   if (condition.exp) {
-    return `(${condition.exp})?${
+    const block = condition.block
+    const range = block.rawAttrsMap[block.elseif ? 'v-else-if' : 'v-if']
+    return `(${genPosition(range && range.start, state.sourceMap)}${condition.exp})?${
       genTernaryExp(condition.block)
     }:${
       genIfConditions(conditions, state, altGen, altEmpty)
@@ -213,12 +343,14 @@ export function genFor (
       `<${el.tag} v-for="${alias} in ${exp}">: component lists rendered with ` +
       `v-for should have explicit keys. ` +
       `See https://vuejs.org/guide/list.html#key for more info.`,
+      el.rawAttrsMap['v-for'],
       true /* tip */
     )
   }
 
   el.forProcessed = true // avoid recursion
-  return `${altHelper || '_l'}((${exp}),` +
+  const range = el.rawAttrsMap['v-for']
+  return `${altHelper || '_l'}((${genPosition(range && range.start, state.sourceMap)}${exp}),` +
     `function(${alias}${iterator1}${iterator2}){` +
       `return ${(altGen || genElement)(el, state)}` +
     '})'
@@ -257,18 +389,23 @@ export function genData (el: ASTElement, state: CodegenState): string {
   }
   // attributes
   if (el.attrs) {
-    data += `attrs:{${genProps(el.attrs)}},`
+    data += `attrs:{${genProps(el.attrs, state)}},`
   }
   // DOM props
   if (el.props) {
-    data += `domProps:{${genProps(el.props)}},`
+    data += `domProps:{${genProps(el.props, state)}},`
   }
   // event handlers
   if (el.events) {
-    data += `${genHandlers(el.events, false, state.warn)},`
+    data += `${genHandlers(el.events, false, state.warn, state.sourceMap)},`
   }
   if (el.nativeEvents) {
-    data += `${genHandlers(el.nativeEvents, true, state.warn)},`
+    data += `${genHandlers(el.nativeEvents, true, state.warn, state.sourceMap)},`
+  }
+  // patch flags
+  const patchFlag = genPatchFlag(el, state)
+  if (patchFlag) {
+    data += patchFlag
   }
   // slot target
   // only for non-scoped slots
@@ -308,6 +445,75 @@ export function genData (el: ASTElement, state: CodegenState): string {
   return data
 }
 
+// 标记元素上哪些部分是动态的(文本、class、style、属性列表、子节点)，
+// patch时据此跳过无关模块的更新以及静态子节点的对比，参见PatchFlags
+// 只有平台保留标签才会被标记，组件占位节点和v-bind/v-on对象绑定的数据在编译时无法确定
+function genPatchFlag (el: ASTElement, state: CodegenState): string {
+  if (el.static || !isFlaggable(el, state)) {
+    return ''
+  }
+  let flag = 0
+  if (el.classBinding) flag |= PatchFlags.CLASS
+  if (el.styleBinding) flag |= PatchFlags.STYLE
+  if (el.events) flag |= PatchFlags.EVENTS
+  const dynamicProps = []
+  const bindings = (el.attrs || []).concat(el.props || [])
+  for (let i = 0; i < bindings.length; i++) {
+    if (!isConstantValue(bindings[i].value)) {
+      dynamicProps.push(JSON.stringify(bindings[i].name))
+    }
+  }
+  if (dynamicProps.length) flag |= PatchFlags.PROPS
+  flag |= getChildrenFlag(el, state)
+  // 编号先以占位符输出，由resolvePatchIds加上生成代码的哈希
+  return `patchFlag:${flag},patchId:"\u0000${++state.patchId}",${
+    dynamicProps.length ? `dynamicProps:[${dynamicProps.join(',')}],` : ''
+  }`
+}
+
+function isFlaggable (el: ASTElement, state: CodegenState): boolean {
+  return (
+    !el.component &&
+    !state.maybeComponent(el) &&
+    // v-bind/v-on with an object can bind anything
+    !(el.directives && el.directives.some(d => d.name === 'bind' || d.name === 'on'))
+  )
+}
+
+function getChildrenFlag (el: ASTElement, state: CodegenState): number {
+  const children = el.children
+  if (children.length === 1 && children[0].type === 2) {
+    return PatchFlags.TEXT
+  }
+  let flag = 0
+  for (let i = 0; i < children.length; i++) {
+    const c: any = children[i]
+    if (c.type === 1 && c.for && c.key) {
+      flag |= PatchFlags.KEYED_CHILDREN
+    } else if (!c.static) {
+      // static is only set by the optimizer, so nothing is skipped without it
+      flag |= PatchFlags.UNKEYED_CHILDREN
+    }
+    if (isStructural(c, state)) {
+      flag |= PatchFlags.BAIL
+    }
+  }
+  return flag
+}
+
+// static attrs are generated as JSON literals, and so are bindings to literals
+function isConstantValue (value: any): boolean {
+  if (typeof value !== 'string') {
+    return true
+  }
+  try {
+    JSON.parse(value)
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
 function genDirectives (el: ASTElement, state: CodegenState): string | void {
   const dirs = el.directives
   if (!dirs) return
@@ -326,7 +532,9 @@ function genDirectives (el: ASTElement, state: CodegenState): string | void {
     if (needRuntime) {
       hasRuntime = true
       res += `{name:"${dir.name}",rawName:"${dir.rawName}"${
-        dir.value ? `,value:(${dir.value}),expression:${JSON.stringify(dir.value)}` : ''
+        dir.value ? `,value:(${
+          genPosition(dir.start, state.sourceMap)
+        }${dir.value}),expression:${JSON.stringify(dir.value)}` : ''
       }${
         dir.arg ? `,arg:"${dir.arg}"` : ''
       }${
@@ -344,14 +552,18 @@ function genInlineTemplate (el: ASTElement, state: CodegenState): ?string {
   if (process.env.NODE_ENV !== 'production' && (
     el.children.length !== 1 || ast.type !== 1
   )) {
-    state.warn('Inline-template components must have exactly one child element.')
+    state.warn(
+      'Inline-template components must have exactly one child element.',
+      { start: el.start }
+    )
   }
   if (ast.type === 1) {
     const inlineRenderFns = generate(ast, state.options)
-    return `inlineTemplate:{render:function(){${
+    const params = state.prefixIdentifiers ? '_h,_ctx' : ''
+    return `inlineTemplate:{render:function(${params}){${
       inlineRenderFns.render
     }},staticRenderFns:[${
-      inlineRenderFns.staticRenderFns.map(code => `function(){${code}}`).join(',')
+      inlineRenderFns.staticRenderFns.map(code => `function(${params}){${code}}`).join(',')
     }]}`
   }
 }
@@ -463,10 +675,14 @@ function needsNormalization (el: ASTElement): boolean {
 function genNode (node: ASTNode, state: CodegenState): string {
   if (node.type === 1) {
     return genElement(node, state)
-  } if (node.type === 3 && node.isComment) {
-    return genComment(node)
+  }
+  const position = genPosition(node.start, state.sourceMap)
+  if (node.type === 3 && node.isComment) {
+    return position + genComment(node)
+  } else if (node.type === 2 && state.inBlock) {
+    return `_d(${position}${genText(node)})`
   } else {
-    return genText(node)
+    return position + genText(node)
   }
 }
 
@@ -484,7 +700,7 @@ export function genComment (comment: ASTText): string {
 function genSlot (el: ASTElement, state: CodegenState): string {
   const slotName = el.slotName || '"default"'
   const children = genChildren(el, state)
-  let res = `_t(${slotName}${children ? `,${children}` : ''}`
+  let res = `${genPosition(el.start, state.sourceMap)}_t(${slotName}${children ? `,${children}` : ''}`
   const attrs = el.attrs && `{${el.attrs.map(a => `${camelize(a.name)}:${a.value}`).join(',')}}`
   const bind = el.attrsMap['v-bind']
   if ((attrs || bind) && !children) {
@@ -511,15 +727,16 @@ function genComponent (
   })`
 }
 
-function genProps (props: Array<{ name: string, value: any }>): string {
+function genProps (props: Array<ASTAttr>, state: CodegenState): string {
   let res = ''
   for (let i = 0; i < props.length; i++) {
     const prop = props[i]
+    const position = genPosition(prop.start, state.sourceMap)
     /* istanbul ignore if */
     if (__WEEX__) {
-      res += `"${prop.name}":${generateValue(prop.value)},`
+      res += `"${prop.name}":${position}${generateValue(prop.value)},`
     } else {
-      res += `"${prop.name}":${transformSpecialNewlines(prop.value)},`
+      res += `"${prop.name}":${position}${transformSpecialNewlines(prop.value)},`
     }
   }
   return res.slice(0, -1)
@@ -0,0 +1,26 @@
+/* @flow */
+
+import type { CodegenResult } from './index'
+
+/**
+ * Wrap render functions generated with prefixed identifiers into an ES
+ * module, importing the render helpers they use. _c and the helpers that
+ * need the instance (_t, _m, _f, _b, _g) are read from _vm instead.
+ */
+export function genModule (
+  result: CodegenResult,
+  helpersModule?: string
+): string {
+  const helpers = result.helpers || []
+  const wrap = (body: string): string => `function (_h, _ctx) {${body}}`
+  return (
+    (helpers.length
+      ? `import { ${helpers.join(', ')} } from ${JSON.stringify(helpersModule || 'vue/render-helpers')}\n\n`
+      : '') +
+    `var render = ${wrap(result.render)}\n` +
+    `var staticRenderFns = [${result.staticRenderFns.map(wrap).join(',')}]\n` +
+    // 开发环境下的渲染代理据此在访问未定义的属性时给出警告，参见core/instance/proxy.js
+    `render._withStripped = true\n\n` +
+    `export { render, staticRenderFns }\n`
+  )
+}
@@ -0,0 +1,56 @@
+/* @flow */
+
+import { makeMap } from 'shared/util'
+import { parseStatements, walkIdentifiers } from '../parser/expression-parser'
+import { hidePositions } from './source-map'
+
+// the same globals core/instance/proxy.js lets through when rendering
+// with(this), they are looked up in the global scope
+const isAllowedGlobal = makeMap(
+  'Infinity,undefined,NaN,isFinite,isNaN,' +
+  'parseFloat,parseInt,decodeURI,decodeURIComponent,encodeURI,encodeURIComponent,' +
+  'Math,Number,Date,Array,Object,Boolean,String,RegExp,Map,Set,JSON,Intl,' +
+  'require,arguments'
+)
+
+/**
+ * Prefix the free identifiers of generated render code with `_vm.` so
+ * that it runs without with(this). Function parameters (v-for aliases,
+ * slot-scope, $event) and local declarations are left alone, so are the
+ * globals with(this) would not shadow. Names for which isHelper returns
+ * true are kept as they are and reported, so they can be imported.
+ */
+export function prefixIdentifiers (
+  code: string,
+  locals: Array<string>,
+  isHelper: (name: string) => boolean
+): { code: string, helpers: Array<string> } {
+  const ast = parseStatements(hidePositions(code))
+  const helpers = []
+  const identifiers = []
+  walkIdentifiers(ast, (node, parent) => {
+    const name = node.name
+    if (isAllowedGlobal(name)) {
+      return
+    }
+    if (isHelper(name)) {
+      if (helpers.indexOf(name) < 0) helpers.push(name)
+      return
+    }
+    identifiers.push({
+      name,
+      start: node.start,
+      // { a } 需要展开为 { a: _vm.a }
+      shorthand: parent.type === 'Property' && parent.shorthand
+    })
+  }, locals)
+  identifiers.sort((a, b) => a.start - b.start)
+
+  let res = ''
+  let last = 0
+  identifiers.forEach(({ name, start, shorthand }) => {
+    res += code.slice(last, start) + (shorthand ? `${name}:_vm.` : '_vm.')
+    last = start
+  })
+  return { code: res + code.slice(last), helpers }
+}
@@ -0,0 +1,115 @@
+/* @flow */
+
+import { getLineStarts, getLineIndex, repeat } from '../codeframe'
+
+// 开启sourceMap时，codegen在生成的代码中插入位置标记：\uE000 + 模板偏移量 + \uE001
+// 代码生成结束后再把标记去掉，同时记录下每个标记在生成代码中的行列，这样就不用改动
+// 基于字符串拼接的各个gen*函数的结构
+const markerRE = /\uE000(\d+)\uE001/g
+
+export type SourceMap = {
+  version: number,
+  file?: string,
+  sources: Array<string>,
+  sourcesContent: Array<string>,
+  names: Array<string>,
+  mappings: string
+};
+
+/**
+ * Mark the position in the template that the code generated next
+ * comes from. Nothing is marked if the node has no source range.
+ */
+export function genPosition (start: ?number, enabled: boolean): string {
+  return enabled && start != null ? `\uE000${start}\uE001` : ''
+}
+
+/**
+ * Replace the position markers with spaces, so that the code can be
+ * parsed without shifting the offsets of what follows them.
+ */
+export function hidePositions (code: string): string {
+  return code.replace(markerRE, match => repeat(' ', match.length))
+}
+
+/**
+ * Remove the position markers from generated code and build a
+ * source map (v3) from the code back to the template.
+ */
+export function genSourceMap (
+  code: string,
+  template: string,
+  filename?: string
+): { code: string, map: SourceMap } {
+  const lineStarts = getLineStarts(template)
+  let res = ''
+  let mappings = ''
+  let last = 0
+  let line = 0
+  let column = 0
+  // 各字段都是相对于上一个映射的差值
+  let prevColumn = 0
+  let prevSourceLine = 0
+  let prevSourceColumn = 0
+  let match
+  markerRE.lastIndex = 0
+  while ((match = markerRE.exec(code))) {
+    const chunk = code.slice(last, match.index)
+    res += chunk
+    last = match.index + match[0].length
+    // 跟踪生成代码的行列，表达式中可能包含换行
+    const lines = chunk.split('\n')
+    if (lines.length > 1) {
+      mappings += repeat(';', lines.length - 1)
+      line += lines.length - 1
+      column = lines[lines.length - 1].length
+      prevColumn = 0
+    } else {
+      column += chunk.length
+    }
+    const pos = Math.min(Number(match[1]), template.length)
+    const sourceLine = getLineIndex(lineStarts, pos)
+    const sourceColumn = pos - lineStarts[sourceLine]
+    if (mappings && mappings.charAt(mappings.length - 1) !== ';') {
+      mappings += ','
+    }
+    mappings +=
+      encodeVLQ(column - prevColumn) +
+      encodeVLQ(0) + // 只有一个源文件
+      encodeVLQ(sourceLine - prevSourceLine) +
+      encodeVLQ(sourceColumn - prevSourceColumn)
+    prevColumn = column
+    prevSourceLine = sourceLine
+    prevSourceColumn = sourceColumn
+  }
+  res += code.slice(last)
+
+  const map: SourceMap = {
+    version: 3,
+    sources: [filename || 'template.html'],
+    sourcesContent: [template],
+    names: [],
+    mappings
+  }
+  if (filename) {
+    map.file = filename
+  }
+  return { code: res, map }
+}
+
+const base64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+
+// Base64 VLQ，最低位是符号位，每个字符携带5位数据，第6位表示后面还有字符
+function encodeVLQ (value: number): string {
+  let vlq = value < 0 ? ((-value) << 1) + 1 : value << 1
+  let res = ''
+  do {
+    let digit = vlq & 31
+    vlq >>>= 5
+    if (vlq > 0) {
+      digit |= 32
+    }
+    res += base64.charAt(digit)
+  } while (vlq > 0)
+  return res
+}
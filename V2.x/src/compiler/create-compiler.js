@@ -2,6 +2,9 @@
 
 import { extend } from 'shared/util'
 import { detectErrors } from './error-detector'
+import { generateCodeFrame } from './codeframe'
+import { genSourceMap } from './codegen/source-map'
+import { genModule } from './codegen/module'
 import { createCompileToFunctionFn } from './to-function'
 
 // '编译器的创建者'的创建者
@@ -31,12 +34,32 @@ export function createCompilerCreator (baseCompile: Function): Function {
       const finalOptions = Object.create(baseOptions)
       const errors = []
       const tips = []
-      finalOptions.warn = (msg, tip) => {
+
+      let warn = (msg, range, tip) => {
         (tip ? tips : errors).push(msg)
       }
-
       // options是用来提供定制能力的扩展选项，因此，实际以下代码的作用就是将options对象混合到finalOptions中
       if (options) {
+        // 开启outputSourceRange后，错误和提示会以{ msg, start, end, codeFrame }的形式收集，
+        // 起止位置是相对于原始模板字符串的偏移量
+        if (process.env.NODE_ENV !== 'production' && options.outputSourceRange) {
+          warn = (msg, range, tip) => {
+            const data: WarningMessage = { msg }
+            if (range) {
+              if (range.start != null) {
+                data.start = range.start
+              }
+              if (range.end != null) {
+                data.end = range.end
+              }
+              // 构建工具可以直接展示出错位置附近的代码
+              if (data.start != null) {
+                data.codeFrame = generateCodeFrame(template, data.start, data.end)
+              }
+            }
+            (tip ? tips : errors).push(data)
+          }
+        }
         // merge custom modules
         if (options.modules) {
           finalOptions.modules =
@@ -57,12 +80,51 @@ export function createCompilerCreator (baseCompile: Function): Function {
         }
       }
 
+      finalOptions.warn = warn
+      // source map依赖AST上记录的位置，但错误信息的格式仍然由outputSourceRange决定
+      // 生产环境下解析器不记录位置，此时忽略sourceMap选项并给出提示
+      const sourceMap = process.env.NODE_ENV !== 'production' && !!finalOptions.sourceMap
+      if (sourceMap) {
+        finalOptions.outputSourceRange = true
+      } else if (finalOptions.sourceMap) {
+        warn(
+          `The sourceMap option is ignored in production builds, ` +
+          `since source positions are only recorded in development.`,
+          undefined,
+          true
+        )
+      }
+
       // compile函数对模板的编译时委托baseCompile完成的
       // compiled是baseCompile对模板的编译结果，该结果中包含了模板编译后的抽象语法树(AST)，可以通过compiled.ast访问该语法树
       const compiled = baseCompile(template, finalOptions)
       // 作用是用来通过抽象语法树来检查模板中是否存在错误表达式，通过detectErrors函数实现
       if (process.env.NODE_ENV !== 'production') {
-        errors.push.apply(errors, detectErrors(compiled.ast))
+        detectErrors(compiled.ast, warn)
+      }
+      // esModule选项：生成导出render和staticRenderFns的ES模块代码
+      // 只有基础编译器会给出需要导入的helpers，服务端渲染的编译器不支持
+      if (finalOptions.esModule && compiled.helpers) {
+        compiled.module = genModule(compiled, finalOptions.helpersModule)
+      }
+      // 去掉codegen插入的位置标记，生成从渲染函数代码到模板的source map
+      // 每个静态渲染函数都是单独的一段代码，各自有一个source map
+      if (sourceMap) {
+        const filename = finalOptions.filename
+        if (compiled.module) {
+          const res = genSourceMap(compiled.module, template, filename)
+          compiled.module = res.code
+          compiled.moduleMap = res.map
+        }
+        const render = genSourceMap(compiled.render, template, filename)
+        compiled.render = render.code
+        compiled.map = render.map
+        compiled.staticRenderFnMaps = []
+        compiled.staticRenderFns = compiled.staticRenderFns.map(code => {
+          const res = genSourceMap(code, template, filename)
+          compiled.staticRenderFnMaps.push(res.map)
+          return res.code
+        })
       }
       // 将收集到的错误(errors)和提示(tips)添加到compiled上并返回
       compiled.errors = errors
@@ -1,108 +1,192 @@
 /* @flow */
 
-import { dirRE, onRE } from './parser/index'
-
-// these keywords should not appear inside expressions, but operators like
-// typeof, instanceof and in are allowed
-const prohibitedKeywordRE = new RegExp('\\b' + (
-  'do,if,for,let,new,try,var,case,else,with,await,break,catch,class,const,' +
-  'super,throw,while,yield,delete,export,import,return,switch,default,' +
-  'extends,finally,continue,debugger,function,arguments'
-).split(',').join('\\b|\\b') + '\\b')
+import { makeMap } from 'shared/util'
+import { dirRE, onRE, bindRE } from './parser/index'
+import {
+  parseExpression,
+  parseStatements,
+  walk,
+  isReservedWord
+} from './parser/expression-parser'
 
 // these unary operators should not be used as property/method names
-const unaryOperatorsRE = new RegExp('\\b' + (
-  'delete,typeof,void'
-).split(',').join('\\s*\\([^\\)]*\\)|\\b') + '\\s*\\([^\\)]*\\)')
+const isUnaryKeyword = makeMap('delete,typeof,void')
+
+const lastWordRE = /([\w$]+)\s*$/
 
-// strip strings in expressions
-const stripStringRE = /'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"|`(?:[^`\\]|\\.)*\$\{|\}(?:[^`\\]|\\.)*`|`(?:[^`\\]|\\.)*`/g
+type Range = { start?: number, end?: number };
 
 // detect problematic expressions in a template
-export function detectErrors (ast: ?ASTNode): Array<string> {
-  const errors: Array<string> = []
+export function detectErrors (ast: ?ASTNode, warn: Function) {
   if (ast) {
-    checkNode(ast, errors)
+    checkNode(ast, warn)
   }
-  return errors
 }
 
-function checkNode (node: ASTNode, errors: Array<string>) {
+function checkNode (node: ASTNode, warn: Function) {
   if (node.type === 1) {
     for (const name in node.attrsMap) {
       if (dirRE.test(name)) {
         const value = node.attrsMap[name]
         if (value) {
+          const range = node.rawAttrsMap[name]
+          const text = `${name}="${value}"`
+          const offset = getValueOffset(range, name, value)
           if (name === 'v-for') {
-            checkFor(node, `v-for="${value}"`, errors)
+            checkFor(node, text, warn, range)
           } else if (onRE.test(name)) {
-            checkEvent(value, `${name}="${value}"`, errors)
+            checkEvent(value, text, warn, range, offset)
           } else {
-            checkExpression(value, `${name}="${value}"`, errors)
+            // v-bind的值可以带有过滤器
+            checkExpression(value, text, warn, range, offset, bindRE.test(name))
           }
         }
       }
     }
     if (node.children) {
       for (let i = 0; i < node.children.length; i++) {
-        checkNode(node.children[i], errors)
+        checkNode(node.children[i], warn)
       }
     }
   } else if (node.type === 2) {
-    checkExpression(node.expression, node.text, errors)
+    checkExpression(node.expression, node.text, warn, node)
   }
 }
 
-function checkEvent (exp: string, text: string, errors: Array<string>) {
-  const stipped = exp.replace(stripStringRE, '')
-  const keywordMatch: any = stipped.match(unaryOperatorsRE)
-  if (keywordMatch && stipped.charAt(keywordMatch.index - 1) !== '$') {
-    errors.push(
-      `avoid using JavaScript unary operator as property name: ` +
-      `"${keywordMatch[0]}" in expression ${text.trim()}`
-    )
+function checkEvent (
+  exp: string,
+  text: string,
+  warn: Function,
+  range?: Range,
+  offset?: ?number
+) {
+  let ast
+  try {
+    ast = parseExpression(exp)
+  } catch (e) {
+    // 不是表达式时按语句解析，事件处理中可以写多条语句。两者都失败时，
+    // 误用了关键字（如 @click="do(x)"）的提示更有用，否则报告解析得更远的那个错误
+    try {
+      ast = parseStatements(exp)
+    } catch (err) {
+      const useExpressionError =
+        isReservedWord(exp.slice(e.start, e.end)) || e.start >= err.start
+      warnInvalid(exp, text, warn, useExpressionError ? e : err, range, offset)
+      return
+    }
   }
-  checkExpression(exp, text, errors)
+  walk(ast, node => {
+    if (
+      node.type === 'UnaryExpression' &&
+      isUnaryKeyword(node.operator) &&
+      /^\s*\(/.test(exp.slice(node.start + node.operator.length))
+    ) {
+      warn(
+        `avoid using JavaScript unary operator as property name: ` +
+        `"${exp.slice(node.start, node.end)}" in expression ${text.trim()}`,
+        locate(node, range, offset)
+      )
+    }
+  })
 }
 
-function checkFor (node: ASTElement, text: string, errors: Array<string>) {
-  checkExpression(node.for || '', text, errors)
-  checkIdentifier(node.alias, 'v-for alias', text, errors)
-  checkIdentifier(node.iterator1, 'v-for iterator', text, errors)
-  checkIdentifier(node.iterator2, 'v-for iterator', text, errors)
+function checkFor (
+  node: ASTElement,
+  text: string,
+  warn: Function,
+  range?: Range
+) {
+  checkExpression(node.for || '', text, warn, range)
+  checkIdentifier(node.alias, 'v-for alias', text, warn, range)
+  checkIdentifier(node.iterator1, 'v-for iterator', text, warn, range)
+  checkIdentifier(node.iterator2, 'v-for iterator', text, warn, range)
 }
 
 function checkIdentifier (
   ident: ?string,
   type: string,
   text: string,
-  errors: Array<string>
+  warn: Function,
+  range?: Range
 ) {
   if (typeof ident === 'string') {
     try {
-      new Function(`var ${ident}=_`)
+      parseStatements(`var ${ident}=_`)
     } catch (e) {
-      errors.push(`invalid ${type} "${ident}" in expression: ${text.trim()}`)
+      warn(`invalid ${type} "${ident}" in expression: ${text.trim()}`, range)
     }
   }
 }
 
-function checkExpression (exp: string, text: string, errors: Array<string>) {
+function checkExpression (
+  exp: string,
+  text: string,
+  warn: Function,
+  range?: Range,
+  offset?: ?number,
+  filters?: boolean
+) {
   try {
-    new Function(`return ${exp}`)
+    parseExpression(exp, { filters })
   } catch (e) {
-    const keywordMatch = exp.replace(stripStringRE, '').match(prohibitedKeywordRE)
-    if (keywordMatch) {
-      errors.push(
-        `avoid using JavaScript keyword as property name: ` +
-        `"${keywordMatch[0]}"\n  Raw expression: ${text.trim()}`
-      )
-    } else {
-      errors.push(
-        `invalid expression: ${e.message} in\n\n` +
-        `    ${exp}\n\n` +
-        `  Raw expression: ${text.trim()}\n`
-      )
-    }
+    warnInvalid(exp, text, warn, e, range, offset)
+  }
+}
+
+function warnInvalid (
+  exp: string,
+  text: string,
+  warn: Function,
+  error: any,
+  range?: Range,
+  offset?: ?number
+) {
+  let token = exp.slice(error.start, error.end)
+  let loc = error
+  if (error.start >= exp.length) {
+    // 表达式不完整，例如 v-if="delete"，出错的是最后一个词，标出整个表达式
+    const match = exp.match(lastWordRE)
+    token = match ? match[1] : ''
+    loc = { start: 0, end: exp.length }
+  }
+  if (isReservedWord(token)) {
+    warn(
+      `avoid using JavaScript keyword as property name: ` +
+      `"${token}"\n  Raw expression: ${text.trim()}`,
+      locate(loc, range, offset)
+    )
+  } else {
+    warn(
+      `invalid expression: ${error.message} in\n\n` +
+      `    ${exp}\n\n` +
+      `  Raw expression: ${text.trim()}\n`,
+      locate(loc, range, offset)
+    )
+  }
+}
+
+// 属性值在模板中的起始位置，只有属性原样出现在模板中时才能算出来，
+// 例如 name = "value" 或值中带有字符实体时就只能使用整个属性的位置
+function getValueOffset (range: any, name: string, value: string): ?number {
+  if (!range || range.start == null || range.end == null) {
+    return
+  }
+  const length = range.end - range.start
+  if (length === name.length + value.length + 3) {
+    return range.start + name.length + 2
+  }
+  if (length === name.length + value.length + 1) {
+    return range.start + name.length + 1
+  }
+}
+
+// the range in the template of an error or a node in an attribute value
+function locate (loc: Object, range?: Range, offset?: ?number): ?Range {
+  if (offset == null || typeof loc.start !== 'number') {
+    return range
+  }
+  return {
+    start: offset + loc.start,
+    end: offset + Math.max(loc.end, loc.start + 1)
   }
 }
@@ -72,7 +72,7 @@ export const createCompiler = createCompilerCreator(function baseCompile (
   //     ]
   //   }]
   // }
-  const ast = parse(template.trim(), options)
+  const ast = parse(template, options)
   if (options.optimize !== false) {
     // 调用optimize函数优化ast
     // 优化的原因是Vue是数据驱动，是响应式的，模板并不是所有数据都是响应式的，有很多数据是首次渲染后就
@@ -143,6 +143,7 @@ export const createCompiler = createCompilerCreator(function baseCompile (
   return {
     ast,
     render: code.render,
-    staticRenderFns: code.staticRenderFns
+    staticRenderFns: code.staticRenderFns,
+    helpers: code.helpers
   }
 })
@@ -0,0 +1,1955 @@
+/* @flow */
+
+import { makeMap } from 'shared/util'
+
+// 表达式解析器生成的是ESTree格式的AST，与acorn一样每个节点都带有start和end，
+// 即节点在源码中的偏移量。模板中的表达式、v-on中的语句以及由它们生成的渲染代码
+// 都由这里解析，过滤器(a | f(b))是唯一的非标准语法，对应FilterExpression和Filter节点
+export type ESTreeNode = {
+  type: string,
+  start: number,
+  end: number,
+  [key: string]: any
+};
+
+type Token = {
+  type: 'name' | 'privateName' | 'num' | 'string' | 'template' | 'regex' | 'punc' | 'eof',
+  value: string,
+  start: number,
+  end: number,
+  // 该token之前是否有换行，用于自动插入分号
+  newline: boolean,
+  // 模板字符串的这一段是否以`结束
+  tail?: boolean
+};
+
+// words that can never be identifiers, await and yield are only keywords
+// inside async functions and generators
+export const isReservedWord = makeMap(
+  'break,case,catch,class,const,continue,debugger,default,delete,do,else,' +
+  'enum,export,extends,false,finally,for,function,if,import,in,instanceof,' +
+  'new,null,return,super,switch,this,throw,true,try,typeof,var,void,while,with'
+)
+
+const isUnaryKeyword = makeMap('typeof,void,delete')
+const isUnaryPunc = makeMap('!,~,+,-,++,--')
+const isAssignOp = makeMap('=,+=,-=,*=,/=,%=,**=,<<=,>>=,>>>=,&=,|=,^=,&&=,||=,??=')
+
+const binaryPrecedence: { [key: string]: number } = {
+  '??': 1, '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5,
+  '==': 6, '!=': 6, '===': 6, '!==': 6,
+  '<': 7, '>': 7, '<=': 7, '>=': 7, instanceof: 7, in: 7,
+  '<<': 8, '>>': 8, '>>>': 8,
+  '+': 9, '-': 9, '*': 10, '/': 10, '%': 10, '**': 11
+}
+
+// 按长度从长到短排列，优先匹配最长的运算符
+const puncs = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '<<', '>>', '**'
+]
+const puncChars = '{}()[];,<>+-*/%&|^!~?:=.'
+
+// 标识符按Unicode的ID_Start/ID_Continue判断，不支持属性转义的环境中
+// 退回到XML名称中的字母范围，两者都不包含空白、行分隔符和标点符号
+const identStartRE = createIdentRE(
+  'A-Za-z_$\\p{ID_Start}',
+  'A-Za-z_$\\u00c0-\\u00d6\\u00d8-\\u00f6\\u00f8-\\u02ff\\u0370-\\u037d\\u037f-\\u1fff' +
+  '\\u2070-\\u218f\\u2c00-\\u2fef\\u3001-\\ud7ff\\uf900-\\ufdcf\\ufdf0-\\ufefe\\uff00-\\ufffd'
+)
+const identRE = createIdentRE(
+  '\\w$\\u200c\\u200d\\p{ID_Continue}',
+  '\\w$\\u200c\\u200d\\u00b7\\u00c0-\\u00d6\\u00d8-\\u00f6\\u00f8-\\u037d\\u037f-\\u1fff' +
+  '\\u203f-\\u2040\\u2070-\\u218f\\u2c00-\\u2fef\\u3001-\\ud7ff\\uf900-\\ufdcf\\ufdf0-\\ufefe\\uff00-\\ufffd'
+)
+const digitRE = /\d/
+const numberRE = /^(?:0[xob][\da-f_]+|(?:\d[\d_]*\.?[\d_]*|\.\d[\d_]*)(?:e[+-]?\d+)?)n?/i
+const whitespaceRE = /\s/
+const lineBreakRE = /[\n\r\u2028\u2029]/
+const escapeRE = /\\(u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|\r\n|[^])/g
+const escapes = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', '0': '\0' }
+
+/**
+ * Parse a template expression into an ESTree AST. With the filters
+ * option, pipes that are not nested in brackets separate filters and
+ * the result is a FilterExpression when there is at least one.
+ * Syntax errors are thrown as SyntaxError with the start and end of
+ * the offending token.
+ */
+export function parseExpression (
+  exp: string,
+  options?: { filters?: boolean }
+): ESTreeNode {
+  return new Parser(exp).parseTopLevelExpression(!!(options && options.filters))
+}
+
+/**
+ * Parse statements into a Program. The code is treated as the body of a
+ * function, like v-on statements and render code are, so it may return.
+ */
+export function parseStatements (code: string): ESTreeNode {
+  return new Parser(code).parseProgram()
+}
+
+/**
+ * Call visit for every node of an AST, parents before their children.
+ */
+export function walk (
+  node: ESTreeNode,
+  visit: (node: ESTreeNode, parent: ?ESTreeNode) => void,
+  parent?: ?ESTreeNode
+) {
+  visit(node, parent)
+  forEachChild(node, child => walk(child, visit, node))
+}
+
+/**
+ * Find the free identifiers of an AST, those that are read or assigned
+ * but not declared in it as parameters, variables or functions. Names in
+ * locals count as declared. For { a } the parent passed to onIdentifier
+ * is the shorthand property.
+ */
+export function walkIdentifiers (
+  root: ESTreeNode,
+  onIdentifier: (node: ESTreeNode, parent: ESTreeNode) => void,
+  locals?: Array<string>
+) {
+  const scope = {}
+  if (locals) {
+    locals.forEach(name => { scope[name] = true })
+  }
+  collectDeclarations(root, scope)
+  walkScoped(root, root, [scope], onIdentifier)
+}
+
+class Parser {
+  input: string;
+  pos: number;
+  token: Token;
+  lastEnd: number;
+  inFunction: boolean;
+  inAsync: boolean;
+  inGenerator: boolean;
+  // super只能出现在对象字面量的方法中，new.target只能出现在普通函数中，箭头函数沿用外层的设置
+  allowSuper: boolean;
+  allowNewTarget: boolean;
+  // super()只能出现在派生类的构造函数中
+  allowSuperCall: boolean;
+  // 每个类声明的私有名称以及类中用到的私有名称，类结束时检查用到的名称是否都已声明
+  privateNameScopes: Array<{ declared: Object, used: Array<ESTreeNode> }>;
+  // for (a in b)的初始化部分中in不是运算符
+  noIn: boolean;
+  // 当前层级的|是过滤器的分隔符
+  pipes: boolean;
+  // { a = 1 } 中=的位置，这种写法只能出现在解构中
+  coverInit: number;
+
+  constructor (input: string) {
+    this.input = input
+    this.pos = 0
+    this.lastEnd = 0
+    this.inFunction = false
+    this.inAsync = false
+    this.inGenerator = false
+    this.allowSuper = false
+    this.allowNewTarget = false
+    this.allowSuperCall = false
+    this.privateNameScopes = []
+    this.noIn = false
+    this.pipes = false
+    this.coverInit = -1
+    this.token = this.readToken()
+  }
+
+  // ---------- tokenizer ----------
+
+  next () {
+    this.lastEnd = this.token.end
+    this.token = this.readToken()
+  }
+
+  peek (): Token {
+    const pos = this.pos
+    const token = this.readToken()
+    this.pos = pos
+    return token
+  }
+
+  readToken (): Token {
+    const input = this.input
+    const newline = this.skipSpace()
+    const start = this.pos
+    if (start >= input.length) {
+      return { type: 'eof', value: '', start, end: start, newline }
+    }
+    const c = input.charAt(start)
+    let type = 'punc'
+    let end = start + 1
+    const length = identCharLength(input, start, identStartRE)
+    if (length) {
+      end = skipIdentChars(input, start + length)
+      type = 'name'
+    } else if (digitRE.test(c) || (c === '.' && digitRE.test(input.charAt(start + 1)))) {
+      const match = input.slice(start).match(numberRE)
+      end = start + (match ? match[0].length : 1)
+      if (identCharLength(input, end, identRE)) {
+        raise('Invalid or unexpected token', start, end + 1)
+      }
+      type = 'num'
+    } else if (c === '"' || c === '\'') {
+      for (;;) {
+        const ch = input.charAt(end)
+        if (end >= input.length || lineBreakRE.test(ch)) {
+          raise('Invalid or unexpected token', start, end)
+        }
+        if (ch === c) break
+        // 反斜杠之后的\r\n是一个换行
+        end += ch !== '\\' ? 1 : input.slice(end + 1, end + 3) === '\r\n' ? 3 : 2
+      }
+      end++
+      type = 'string'
+    } else if (c === '`') {
+      return this.readTemplate(start)
+    } else if (c === '#') {
+      // 类的私有名称 #x
+      const length = identCharLength(input, end, identStartRE)
+      if (!length) {
+        raise('Invalid or unexpected token', start, end)
+      }
+      end = skipIdentChars(input, end + length)
+      type = 'privateName'
+    } else {
+      let punc = ''
+      for (let i = 0; i < puncs.length; i++) {
+        if (input.startsWith(puncs[i], start)) {
+          punc = puncs[i]
+          break
+        }
+      }
+      // a?.5:b 是三元表达式
+      if (!punc || (punc === '?.' && digitRE.test(input.charAt(start + 2)))) {
+        if (puncChars.indexOf(c) < 0) {
+          raise('Invalid or unexpected token', start, end)
+        }
+        punc = c
+      }
+      end = start + punc.length
+    }
+    this.pos = end
+    return { type, value: input.slice(start, end), start, end, newline }
+  }
+
+  // skip whitespace and comments, returns whether there was a line break
+  skipSpace (): boolean {
+    const input = this.input
+    let newline = false
+    while (this.pos < input.length) {
+      const ch = input.charAt(this.pos)
+      if (ch === '/' && input.charAt(this.pos + 1) === '/') {
+        while (this.pos < input.length && !lineBreakRE.test(input.charAt(this.pos))) {
+          this.pos++
+        }
+      } else if (ch === '/' && input.charAt(this.pos + 1) === '*') {
+        const end = input.indexOf('*/', this.pos + 2)
+        if (end < 0) {
+          raise('Invalid or unexpected token', this.pos, input.length)
+        }
+        if (lineBreakRE.test(input.slice(this.pos, end))) {
+          newline = true
+        }
+        this.pos = end + 2
+      } else if (whitespaceRE.test(ch)) {
+        if (lineBreakRE.test(ch)) {
+          newline = true
+        }
+        this.pos++
+      } else {
+        break
+      }
+    }
+    return newline
+  }
+
+  // 读取模板字符串的一段，从`或}开始，到`或${结束
+  readTemplate (start: number): Token {
+    const input = this.input
+    let end = start + 1
+    let tail = false
+    for (;;) {
+      if (end >= input.length) {
+        raise('Unterminated template literal', start, input.length)
+      }
+      const ch = input.charAt(end)
+      if (ch === '`') {
+        end++
+        tail = true
+        break
+      }
+      if (ch === '$' && input.charAt(end + 1) === '{') {
+        end += 2
+        break
+      }
+      end += ch === '\\' ? 2 : 1
+    }
+    this.pos = end
+    return { type: 'template', value: input.slice(start, end), start, end, newline: false, tail }
+  }
+
+  // a / b 与 /re/ 只能由语法位置区分，解析器在需要表达式的地方遇到/时重新按正则读取
+  readRegex (): Token {
+    const input = this.input
+    const start = this.token.start
+    let end = start + 1
+    let inClass = false
+    for (;;) {
+      const ch = input.charAt(end)
+      if (end >= input.length || lineBreakRE.test(ch)) {
+        raise('Invalid regular expression: missing /', start, end)
+      }
+      if (ch === '\\') {
+        end++
+      } else if (ch === '[') {
+        inClass = true
+      } else if (ch === ']') {
+        inClass = false
+      } else if (ch === '/' && !inClass) {
+        break
+      }
+      end++
+    }
+    end = skipIdentChars(input, end + 1)
+    this.pos = end
+    return { type: 'regex', value: input.slice(start, end), start, end, newline: this.token.newline }
+  }
+
+  // ---------- helpers ----------
+
+  is (value: string): boolean {
+    const token = this.token
+    return (token.type === 'punc' || token.type === 'name') && token.value === value
+  }
+
+  eat (value: string): boolean {
+    if (this.is(value)) {
+      this.next()
+      return true
+    }
+    return false
+  }
+
+  expect (value: string) {
+    if (!this.eat(value)) {
+      this.unexpected()
+    }
+  }
+
+  unexpected (token?: Token): empty {
+    const t = token || this.token
+    return raise(unexpectedMessage(t), t.start, t.end)
+  }
+
+  finish (node: Object): ESTreeNode {
+    node.end = this.lastEnd
+    return node
+  }
+
+  // 括号内的|是按位或，in也总是运算符
+  nested<T> (fn: () => T): T {
+    const pipes = this.pipes
+    const noIn = this.noIn
+    this.pipes = false
+    this.noIn = false
+    const res = fn()
+    this.pipes = pipes
+    this.noIn = noIn
+    return res
+  }
+
+  enterFunction (
+    isAsync: boolean,
+    generator: boolean,
+    arrow?: boolean,
+    method?: boolean,
+    derivedConstructor?: boolean
+  ): Array<boolean> {
+    const context = [
+      this.inFunction, this.inAsync, this.inGenerator,
+      this.allowSuper, this.allowNewTarget, this.allowSuperCall
+    ]
+    this.inFunction = true
+    this.inAsync = isAsync
+    this.inGenerator = generator
+    if (!arrow) {
+      this.allowSuper = !!method
+      this.allowNewTarget = true
+      this.allowSuperCall = !!derivedConstructor
+    }
+    return context
+  }
+
+  leaveFunction (context: Array<boolean>) {
+    this.inFunction = context[0]
+    this.inAsync = context[1]
+    this.inGenerator = context[2]
+    this.allowSuper = context[3]
+    this.allowNewTarget = context[4]
+    this.allowSuperCall = context[5]
+  }
+
+  isIdentifier (token: Token): boolean {
+    return token.type === 'name' && !isReservedWord(token.value) &&
+      !(token.value === 'await' && this.inAsync) &&
+      !(token.value === 'yield' && this.inGenerator)
+  }
+
+  // ---------- entries ----------
+
+  parseTopLevelExpression (filters: boolean): ESTreeNode {
+    const start = this.token.start
+    this.pipes = filters
+    const expression = this.parseExpression()
+    let node = expression
+    if (filters && this.is('|')) {
+      const list = []
+      while (this.eat('|')) {
+        list.push(this.parseFilter())
+      }
+      node = this.finish({ type: 'FilterExpression', start, expression, filters: list })
+    }
+    if (this.token.type !== 'eof') {
+      this.unexpected()
+    }
+    return node
+  }
+
+  // 过滤器由名字和可选的参数组成，例如 format 或 format('yy-mm-dd')
+  parseFilter (): ESTreeNode {
+    const start = this.token.start
+    let callee = this.parseIdent(true)
+    while (this.eat('.')) {
+      const property = this.parseIdent(true)
+      callee = this.finish({ type: 'MemberExpression', start, object: callee, property, computed: false, optional: false })
+    }
+    const args = this.is('(') ? this.parseArguments(false) : []
+    return this.finish({ type: 'Filter', start, callee, arguments: args })
+  }
+
+  parseProgram (): ESTreeNode {
+    const body = []
+    this.inFunction = true
+    while (this.token.type !== 'eof') {
+      body.push(this.parseStatement())
+    }
+    return { type: 'Program', start: 0, end: this.input.length, body, sourceType: 'script' }
+  }
+
+  // ---------- statements ----------
+
+  parseStatement (): ESTreeNode {
+    const token = this.token
+    const start = token.start
+    if (this.is('{')) {
+      return this.parseBlock()
+    }
+    if (this.is(';')) {
+      this.next()
+      return this.finish({ type: 'EmptyStatement', start })
+    }
+    if (token.type === 'name') {
+      switch (token.value) {
+        case 'var':
+        case 'const':
+          return this.parseVarStatement(token.value)
+        case 'let':
+          if (this.isLetDeclaration()) {
+            return this.parseVarStatement('let')
+          }
+          break
+        case 'if': {
+          this.next()
+          const test = this.parseParenExpression()
+          const consequent = this.parseStatement()
+          const alternate = this.eat('else') ? this.parseStatement() : null
+          return this.finish({ type: 'IfStatement', start, test, consequent, alternate })
+        }
+        case 'for':
+          return this.parseFor()
+        case 'while': {
+          this.next()
+          const test = this.parseParenExpression()
+          const body = this.parseStatement()
+          return this.finish({ type: 'WhileStatement', start, test, body })
+        }
+        case 'do': {
+          this.next()
+          const body = this.parseStatement()
+          this.expect('while')
+          const test = this.parseParenExpression()
+          this.eat(';')
+          return this.finish({ type: 'DoWhileStatement', start, body, test })
+        }
+        case 'with': {
+          this.next()
+          const object = this.parseParenExpression()
+          const body = this.parseStatement()
+          return this.finish({ type: 'WithStatement', start, object, body })
+        }
+        case 'return': {
+          if (!this.inFunction) {
+            this.unexpected()
+          }
+          this.next()
+          const argument = this.canInsertSemicolon() ? null : this.parseExpression()
+          this.semicolon()
+          return this.finish({ type: 'ReturnStatement', start, argument })
+        }
+        case 'break':
+        case 'continue': {
+          this.next()
+          const label = !this.token.newline && this.isIdentifier(this.token)
+            ? this.parseIdent(false)
+            : null
+          this.semicolon()
+          const type = token.value === 'break' ? 'BreakStatement' : 'ContinueStatement'
+          return this.finish({ type, start, label })
+        }
+        case 'throw': {
+          this.next()
+          const argument = this.parseExpression()
+          this.semicolon()
+          return this.finish({ type: 'ThrowStatement', start, argument })
+        }
+        case 'try':
+          return this.parseTry()
+        case 'switch':
+          return this.parseSwitch()
+        case 'function':
+          this.next()
+          return this.parseFunction(start, true, false)
+        case 'class':
+          return this.parseClass(start, true)
+        case 'async': {
+          const next = this.peek()
+          if (next.type === 'name' && next.value === 'function' && !next.newline) {
+            this.next()
+            this.next()
+            return this.parseFunction(start, true, true)
+          }
+          break
+        }
+        case 'debugger':
+          this.next()
+          this.semicolon()
+          return this.finish({ type: 'DebuggerStatement', start })
+      }
+    }
+    const expression = this.parseExpression()
+    if (expression.type === 'Identifier' && this.isIdentifier(token) && this.eat(':')) {
+      const body = this.parseStatement()
+      return this.finish({ type: 'LabeledStatement', start, label: expression, body })
+    }
+    this.semicolon()
+    return this.finish({ type: 'ExpressionStatement', start, expression })
+  }
+
+  // let只在后面跟着绑定时才是声明，否则是普通的标识符
+  isLetDeclaration (): boolean {
+    const next = this.peek()
+    return next.type === 'name' || next.value === '[' || next.value === '{'
+  }
+
+  canInsertSemicolon (): boolean {
+    return this.is(';') || this.is('}') || this.token.type === 'eof' || this.token.newline
+  }
+
+  semicolon () {
+    if (!this.eat(';') && !this.canInsertSemicolon()) {
+      this.unexpected()
+    }
+  }
+
+  parseBlock (): ESTreeNode {
+    const start = this.token.start
+    this.expect('{')
+    const body = []
+    while (!this.eat('}')) {
+      if (this.token.type === 'eof') {
+        this.unexpected()
+      }
+      body.push(this.parseStatement())
+    }
+    return this.finish({ type: 'BlockStatement', start, body })
+  }
+
+  parseParenExpression (): ESTreeNode {
+    return this.nested(() => {
+      this.expect('(')
+      const expression = this.parseExpression()
+      this.expect(')')
+      return expression
+    })
+  }
+
+  parseVarStatement (kind: string): ESTreeNode {
+    const node = this.parseVar(kind)
+    this.semicolon()
+    return this.finish(node)
+  }
+
+  parseVar (kind: string): ESTreeNode {
+    const start = this.token.start
+    this.next()
+    const declarations = []
+    do {
+      const declStart = this.token.start
+      const id = this.parseBindingAtom()
+      const init = this.eat('=') ? this.parseMaybeAssign() : null
+      declarations.push(this.finish({ type: 'VariableDeclarator', start: declStart, id, init }))
+    } while (this.eat(','))
+    return this.finish({ type: 'VariableDeclaration', start, declarations, kind })
+  }
+
+  parseFor (): ESTreeNode {
+    const start = this.token.start
+    this.next()
+    const isAwait = this.inAsync && this.eat('await')
+    this.expect('(')
+    let init = null
+    if (!this.is(';')) {
+      const noIn = this.noIn
+      this.noIn = true
+      const kind = this.token.value
+      if (this.token.type === 'name' && (
+        kind === 'var' || kind === 'const' || (kind === 'let' && this.isLetDeclaration())
+      )) {
+        init = this.parseVar(kind)
+      } else {
+        init = this.parseExpression()
+      }
+      this.noIn = noIn
+      if (this.is('in') || this.is('of')) {
+        const type = this.token.value === 'in' ? 'ForInStatement' : 'ForOfStatement'
+        if (isAwait && type === 'ForInStatement') {
+          this.unexpected()
+        }
+        const left = init.type === 'VariableDeclaration' ? init : this.toAssignable(init, false)
+        this.next()
+        const right = type === 'ForInStatement' ? this.parseExpression() : this.parseMaybeAssign()
+        this.expect(')')
+        const body = this.parseStatement()
+        return this.finish(type === 'ForOfStatement'
+          ? { type, start, await: isAwait, left, right, body }
+          : { type, start, left, right, body })
+      }
+    }
+    // for await只能用于for...of
+    if (isAwait) {
+      this.unexpected()
+    }
+    this.expect(';')
+    const test = this.is(';') ? null : this.parseExpression()
+    this.expect(';')
+    const update = this.is(')') ? null : this.parseExpression()
+    this.expect(')')
+    const body = this.parseStatement()
+    return this.finish({ type: 'ForStatement', start, init, test, update, body })
+  }
+
+  parseTry (): ESTreeNode {
+    const start = this.token.start
+    this.next()
+    const block = this.parseBlock()
+    let handler = null
+    if (this.is('catch')) {
+      const clauseStart = this.token.start
+      this.next()
+      let param = null
+      if (this.eat('(')) {
+        param = this.parseBindingAtom()
+        this.expect(')')
+      }
+      const body = this.parseBlock()
+      handler = this.finish({ type: 'CatchClause', start: clauseStart, param, body })
+    }
+    const finalizer = this.eat('finally') ? this.parseBlock() : null
+    if (!handler && !finalizer) {
+      this.unexpected()
+    }
+    return this.finish({ type: 'TryStatement', start, block, handler, finalizer })
+  }
+
+  parseSwitch (): ESTreeNode {
+    const start = this.token.start
+    this.next()
+    const discriminant = this.parseParenExpression()
+    const cases = []
+    this.expect('{')
+    while (!this.eat('}')) {
+      const caseStart = this.token.start
+      let test = null
+      if (this.eat('case')) {
+        test = this.parseExpression()
+      } else {
+        this.expect('default')
+      }
+      this.expect(':')
+      const consequent = []
+      while (!this.is('case') && !this.is('default') && !this.is('}')) {
+        if (this.token.type === 'eof') {
+          this.unexpected()
+        }
+        consequent.push(this.parseStatement())
+      }
+      cases.push(this.finish({ type: 'SwitchCase', start: caseStart, test, consequent }))
+    }
+    return this.finish({ type: 'SwitchStatement', start, discriminant, cases })
+  }
+
+  // ---------- functions ----------
+
+  parseFunction (start: number, isStatement: boolean, isAsync: boolean): ESTreeNode {
+    const generator = this.eat('*')
+    const id = isStatement || this.token.type === 'name' ? this.parseIdent(false) : null
+    const context = this.enterFunction(isAsync, generator)
+    const params = this.parseParams()
+    const body = this.parseFunctionBody()
+    this.leaveFunction(context)
+    return this.finish({
+      type: isStatement ? 'FunctionDeclaration' : 'FunctionExpression',
+      start,
+      id,
+      expression: false,
+      generator,
+      async: isAsync,
+      params,
+      body
+    })
+  }
+
+  // 对象字面量中的方法，从参数列表的(开始
+  parseMethod (
+    isAsync: boolean,
+    generator: boolean,
+    derivedConstructor?: boolean
+  ): ESTreeNode {
+    const start = this.token.start
+    const context = this.enterFunction(isAsync, generator, false, true, derivedConstructor)
+    const params = this.parseParams()
+    const body = this.parseFunctionBody()
+    this.leaveFunction(context)
+    return this.finish({
+      type: 'FunctionExpression',
+      start,
+      id: null,
+      expression: false,
+      generator,
+      async: isAsync,
+      params,
+      body
+    })
+  }
+
+  parseArrow (start: number, params: Array<ESTreeNode>, isAsync: boolean): ESTreeNode {
+    this.expect('=>')
+    const context = this.enterFunction(isAsync, false, true)
+    const expression = !this.is('{')
+    // 箭头函数的表达式体不在括号内，其中的|依然是过滤器的分隔符
+    const body = expression ? this.parseMaybeAssign() : this.parseFunctionBody()
+    this.leaveFunction(context)
+    return this.finish({
+      type: 'ArrowFunctionExpression',
+      start,
+      id: null,
+      expression,
+      generator: false,
+      async: isAsync,
+      params,
+      body
+    })
+  }
+
+  parseParams (): Array<ESTreeNode> {
+    return this.nested(() => {
+      this.expect('(')
+      const params = []
+      while (!this.eat(')')) {
+        if (params.length) {
+          this.expect(',')
+          if (this.eat(')')) break
+        }
+        if (this.is('...')) {
+          const start = this.token.start
+          this.next()
+          const argument = this.parseBindingAtom()
+          params.push(this.finish({ type: 'RestElement', start, argument }))
+          this.expect(')')
+          break
+        }
+        params.push(this.parseBindingElement())
+      }
+      return params
+    })
+  }
+
+  parseFunctionBody (): ESTreeNode {
+    return this.nested(() => this.parseBlock())
+  }
+
+  // ---------- patterns ----------
+
+  parseBindingAtom (): ESTreeNode {
+    const start = this.token.start
+    if (this.is('[')) {
+      return this.nested(() => {
+        this.next()
+        const elements = []
+        while (!this.eat(']')) {
+          if (this.eat(',')) {
+            elements.push(null)
+            continue
+          }
+          if (this.is('...')) {
+            const restStart = this.token.start
+            this.next()
+            const argument = this.parseBindingAtom()
+            elements.push(this.finish({ type: 'RestElement', start: restStart, argument }))
+          } else {
+            elements.push(this.parseBindingElement())
+          }
+          if (!this.is(']')) {
+            this.expect(',')
+          }
+        }
+        return this.finish({ type: 'ArrayPattern', start, elements })
+      })
+    }
+    if (this.is('{')) {
+      return this.nested(() => {
+        this.next()
+        const properties = []
+        while (!this.eat('}')) {
+          const propStart = this.token.start
+          if (this.is('...')) {
+            this.next()
+            const argument = this.parseIdent(false)
+            properties.push(this.finish({ type: 'RestElement', start: propStart, argument }))
+          } else {
+            const keyToken = this.token
+            const { key, computed } = this.parsePropertyName()
+            let value
+            let shorthand = false
+            if (this.eat(':')) {
+              value = this.parseBindingElement()
+            } else {
+              if (computed || !this.isIdentifier(keyToken)) {
+                this.unexpected(keyToken)
+              }
+              shorthand = true
+              value = this.parseMaybeDefault(propStart, cloneIdentifier(key))
+            }
+            properties.push(this.finish({
+              type: 'Property',
+              start: propStart,
+              method: false,
+              shorthand,
+              computed,
+              key,
+              value,
+              kind: 'init'
+            }))
+          }
+          if (!this.is('}')) {
+            this.expect(',')
+          }
+        }
+        return this.finish({ type: 'ObjectPattern', start, properties })
+      })
+    }
+    return this.parseIdent(false)
+  }
+
+  parseBindingElement (): ESTreeNode {
+    const start = this.token.start
+    return this.parseMaybeDefault(start, this.parseBindingAtom())
+  }
+
+  parseMaybeDefault (start: number, left: ESTreeNode): ESTreeNode {
+    if (!this.eat('=')) {
+      return left
+    }
+    const right = this.parseMaybeAssign()
+    return this.finish({ type: 'AssignmentPattern', start, left, right })
+  }
+
+  // turn an expression that turned out to be an assignment target or
+  // arrow function parameters into a pattern
+  toAssignable (node: ESTreeNode, isBinding: boolean): ESTreeNode {
+    switch (node.type) {
+      case 'Identifier':
+      case 'ObjectPattern':
+      case 'ArrayPattern':
+      case 'AssignmentPattern':
+      case 'RestElement':
+        return node
+      case 'MemberExpression':
+        if (!isBinding) {
+          return node
+        }
+        break
+      case 'ObjectExpression':
+        node.type = 'ObjectPattern'
+        node.properties.forEach(prop => {
+          if (prop.type === 'SpreadElement') {
+            prop.type = 'RestElement'
+            prop.argument = this.toAssignable(prop.argument, isBinding)
+          } else if (prop.kind !== 'init' || prop.method) {
+            raise('Invalid destructuring assignment target', prop.key.start, prop.key.end)
+          } else {
+            prop.value = this.toAssignable(prop.value, isBinding)
+          }
+        })
+        return node
+      case 'ArrayExpression':
+        node.type = 'ArrayPattern'
+        node.elements = node.elements.map(element => element && this.toAssignable(element, isBinding))
+        return node
+      case 'SpreadElement':
+        node.type = 'RestElement'
+        node.argument = this.toAssignable(node.argument, isBinding)
+        return node
+      case 'AssignmentExpression':
+        if (node.operator === '=') {
+          node.type = 'AssignmentPattern'
+          delete node.operator
+          node.left = this.toAssignable(node.left, isBinding)
+          return node
+        }
+        break
+    }
+    return raise(
+      isBinding ? 'Invalid destructuring assignment target' : 'Invalid left-hand side in assignment',
+      node.start,
+      node.end
+    )
+  }
+
+  checkSimpleTarget (node: ESTreeNode): ESTreeNode {
+    if (node.type !== 'Identifier' && node.type !== 'MemberExpression') {
+      raise('Invalid left-hand side in assignment', node.start, node.end)
+    }
+    return node
+  }
+
+  // ---------- expressions ----------
+
+  parseExpression (): ESTreeNode {
+    const start = this.token.start
+    const expression = this.parseMaybeAssign()
+    if (!this.is(',')) {
+      return expression
+    }
+    const expressions = [expression]
+    while (this.eat(',')) {
+      expressions.push(this.parseMaybeAssign())
+    }
+    return this.finish({ type: 'SequenceExpression', start, expressions })
+  }
+
+  // allowCoverInit: the expression may still turn out to be part of a
+  // pattern, so { a = 1 } is fine for now
+  parseMaybeAssign (allowCoverInit?: boolean): ESTreeNode {
+    const token = this.token
+    const start = token.start
+    if (this.inGenerator && this.is('yield')) {
+      return this.parseYield()
+    }
+    // x => x
+    if (this.isIdentifier(token)) {
+      const next = this.peek()
+      if (next.type === 'punc' && next.value === '=>' && !next.newline) {
+        return this.parseArrow(start, [this.parseIdent(false)], false)
+      }
+    }
+    const outerCoverInit = this.coverInit
+    this.coverInit = -1
+    const left = this.parseMaybeConditional()
+    if (this.token.type === 'punc' && isAssignOp(this.token.value)) {
+      const operator = this.token.value
+      const target = operator === '='
+        ? this.toAssignable(left, false)
+        : this.checkSimpleTarget(left)
+      this.coverInit = outerCoverInit
+      this.next()
+      const right = this.parseMaybeAssign()
+      return this.finish({ type: 'AssignmentExpression', start, operator, left: target, right })
+    }
+    if (this.coverInit >= 0 && !allowCoverInit) {
+      raise('Invalid shorthand property initializer', this.coverInit, this.coverInit + 1)
+    }
+    if (this.coverInit < 0) {
+      this.coverInit = outerCoverInit
+    }
+    return left
+  }
+
+  parseYield (): ESTreeNode {
+    const start = this.token.start
+    this.next()
+    let delegate = false
+    let argument = null
+    if (!this.token.newline) {
+      delegate = this.eat('*')
+      if (delegate || !(
+        this.canInsertSemicolon() ||
+        this.is(')') || this.is(']') || this.is(',') || this.is(':')
+      )) {
+        argument = this.parseMaybeAssign()
+      }
+    }
+    return this.finish({ type: 'YieldExpression', start, delegate, argument })
+  }
+
+  parseMaybeConditional (): ESTreeNode {
+    const start = this.token.start
+    const test = this.parseBinary(this.parseMaybeUnary(), start, 0)
+    if (!this.eat('?')) {
+      return test
+    }
+    const noIn = this.noIn
+    this.noIn = false
+    const consequent = this.parseMaybeAssign()
+    this.noIn = noIn
+    this.expect(':')
+    const alternate = this.parseMaybeAssign()
+    return this.finish({ type: 'ConditionalExpression', start, test, consequent, alternate })
+  }
+
+  // operator precedence parsing, ** is the only right associative operator
+  parseBinary (left: ESTreeNode, start: number, minPrec: number): ESTreeNode {
+    const token = this.token
+    const operator = token.value
+    const prec = (token.type === 'punc' || token.type === 'name') &&
+      binaryPrecedence.hasOwnProperty(operator)
+      ? binaryPrecedence[operator]
+      : -1
+    if (
+      prec > minPrec &&
+      !(operator === 'in' && this.noIn) &&
+      !(operator === '|' && this.pipes)
+    ) {
+      this.next()
+      const rightStart = this.token.start
+      const logical = operator === '||' || operator === '&&'
+      const coalesce = operator === '??'
+      // ??的右侧不吸收&&，这样 a ?? b && c 也会在下面被当作混用拒绝
+      const right = this.parseBinary(
+        this.parseMaybeUnary(),
+        rightStart,
+        operator === '**' ? prec - 1 : coalesce ? binaryPrecedence['&&'] : prec
+      )
+      const type = logical || coalesce ? 'LogicalExpression' : 'BinaryExpression'
+      const node = this.finish({ type, start, left, operator, right })
+      // ??不能与||、&&直接混用，必须用括号明确优先级，括号内的表达式不会经过这里
+      const next = this.token
+      if (next.type === 'punc' && (
+        (logical && next.value === '??') ||
+        (coalesce && (next.value === '||' || next.value === '&&'))
+      )) {
+        this.unexpected()
+      }
+      return this.parseBinary(node, start, minPrec)
+    }
+    return left
+  }
+
+  parseMaybeUnary (): ESTreeNode {
+    const token = this.token
+    const start = token.start
+    if (this.inAsync && this.is('await')) {
+      this.next()
+      const argument = this.parseMaybeUnary()
+      return this.checkExponent(this.finish({ type: 'AwaitExpression', start, argument }))
+    }
+    if (
+      (token.type === 'punc' && isUnaryPunc(token.value)) ||
+      (token.type === 'name' && isUnaryKeyword(token.value))
+    ) {
+      const operator = token.value
+      this.next()
+      const argument = this.parseMaybeUnary()
+      if (operator === '++' || operator === '--') {
+        this.checkSimpleTarget(argument)
+        return this.finish({ type: 'UpdateExpression', start, operator, prefix: true, argument })
+      }
+      return this.checkExponent(this.finish({ type: 'UnaryExpression', start, operator, prefix: true, argument }))
+    }
+    const expression = this.parseSubscripts(this.parseExprAtom(), start, false)
+    if ((this.is('++') || this.is('--')) && !this.token.newline) {
+      const operator = this.token.value
+      this.checkSimpleTarget(expression)
+      this.next()
+      return this.finish({ type: 'UpdateExpression', start, operator, prefix: false, argument: expression })
+    }
+    return expression
+  }
+
+  // -a ** b 有歧义，一元运算的结果作为**的底数时必须加括号
+  checkExponent (node: ESTreeNode): ESTreeNode {
+    if (this.is('**')) {
+      this.unexpected()
+    }
+    return node
+  }
+
+  parseSubscripts (base: ESTreeNode, start: number, noCalls: boolean): ESTreeNode {
+    let chain = false
+    for (;;) {
+      const value = this.token.type === 'punc' ? this.token.value : ''
+      if (value === '?.') {
+        if (noCalls) {
+          this.unexpected()
+        }
+        chain = true
+        this.next()
+        if (this.is('(')) {
+          base = this.parseCall(base, start, true)
+        } else if (this.is('[')) {
+          base = this.parseComputedMember(base, start, true)
+        } else {
+          const property = this.parseMemberName()
+          base = this.finish({ type: 'MemberExpression', start, object: base, property, computed: false, optional: true })
+        }
+      } else if (value === '.') {
+        this.next()
+        const property = this.parseMemberName()
+        base = this.finish({ type: 'MemberExpression', start, object: base, property, computed: false, optional: false })
+      } else if (value === '[') {
+        base = this.parseComputedMember(base, start, false)
+      } else if (value === '(' && !noCalls) {
+        base = this.parseCall(base, start, false)
+      } else if (this.token.type === 'template') {
+        // a?.b`x` 是语法错误
+        if (chain) {
+          raise('Invalid tagged template on optional chain', this.token.start, this.token.end)
+        }
+        const quasi = this.parseTemplate()
+        base = this.finish({ type: 'TaggedTemplateExpression', start, tag: base, quasi })
+      } else {
+        break
+      }
+    }
+    return chain ? this.finish({ type: 'ChainExpression', start, expression: base }) : base
+  }
+
+  parseComputedMember (object: ESTreeNode, start: number, optional: boolean): ESTreeNode {
+    const property = this.nested(() => {
+      this.next()
+      const expression = this.parseExpression()
+      this.expect(']')
+      return expression
+    })
+    return this.finish({ type: 'MemberExpression', start, object, property, computed: true, optional })
+  }
+
+  parseCall (callee: ESTreeNode, start: number, optional: boolean): ESTreeNode {
+    // async (a, b) => a + b
+    const maybeAsyncArrow = !optional &&
+      callee.type === 'Identifier' && callee.name === 'async' &&
+      callee.end === this.lastEnd && !this.token.newline
+    const args = this.parseArguments(maybeAsyncArrow)
+    if (maybeAsyncArrow && this.is('=>') && !this.token.newline) {
+      this.coverInit = -1
+      return this.parseArrow(start, args.map(arg => this.toAssignable(arg, true)), true)
+    }
+    return this.finish({ type: 'CallExpression', start, callee, arguments: args, optional })
+  }
+
+  parseArguments (allowCoverInit: boolean): Array<ESTreeNode> {
+    return this.nested(() => {
+      this.expect('(')
+      const args = []
+      while (!this.eat(')')) {
+        if (args.length) {
+          this.expect(',')
+          if (this.eat(')')) break
+        }
+        args.push(this.is('...')
+          ? this.parseSpread(allowCoverInit)
+          : this.parseMaybeAssign(allowCoverInit))
+      }
+      return args
+    })
+  }
+
+  parseSpread (allowCoverInit: boolean): ESTreeNode {
+    const start = this.token.start
+    this.next()
+    const argument = this.parseMaybeAssign(allowCoverInit)
+    return this.finish({ type: 'SpreadElement', start, argument })
+  }
+
+  parseExprAtom (): ESTreeNode {
+    const token = this.token
+    const start = token.start
+    switch (token.type) {
+      case 'name':
+        switch (token.value) {
+          case 'this':
+            this.next()
+            return this.finish({ type: 'ThisExpression', start })
+          case 'super': {
+            // 方法中只能通过super访问属性，派生类的构造函数中还可以调用super()
+            this.next()
+            const allowed = this.is('(')
+              ? this.allowSuperCall
+              : this.allowSuper && (this.is('.') || this.is('['))
+            if (!allowed) {
+              raise("'super' keyword unexpected here", token.start, token.end)
+            }
+            return this.finish({ type: 'Super', start })
+          }
+          case 'null':
+          case 'true':
+          case 'false':
+            this.next()
+            return this.finish({
+              type: 'Literal',
+              start,
+              value: token.value === 'null' ? null : token.value === 'true',
+              raw: token.value
+            })
+          case 'function':
+            this.next()
+            return this.parseFunction(start, false, false)
+          case 'class':
+            return this.parseClass(start, false)
+          case 'new':
+            return this.parseNew()
+          case 'async': {
+            const next = this.peek()
+            if (next.type === 'name' && !next.newline) {
+              if (next.value === 'function') {
+                this.next()
+                this.next()
+                return this.parseFunction(start, false, true)
+              }
+              // async x => x
+              this.next()
+              const param = this.parseIdent(false)
+              return this.parseArrow(start, [param], true)
+            }
+            break
+          }
+        }
+        return this.parseIdent(false)
+      case 'num': {
+        this.next()
+        const raw = token.value
+        if (raw.charAt(raw.length - 1) === 'n') {
+          const bigint = raw.slice(0, -1).replace(/_/g, '')
+          // 不支持BigInt的环境中值为null，与acorn一致
+          const value = typeof BigInt === 'function' ? BigInt(bigint) : null
+          return this.finish({ type: 'Literal', start, value, raw, bigint })
+        }
+        return this.finish({ type: 'Literal', start, value: Number(raw.replace(/_/g, '')), raw })
+      }
+      case 'string':
+        this.next()
+        return this.finish({
+          type: 'Literal',
+          start,
+          value: decodeEscapes(token.value.slice(1, -1)),
+          raw: token.value
+        })
+      case 'template':
+        return this.parseTemplate()
+      case 'privateName':
+        // #x in obj，检查对象是否有这个私有字段
+        if (this.peek().value !== 'in') {
+          this.unexpected()
+        }
+        return this.parsePrivateName()
+      case 'punc':
+        switch (token.value) {
+          case '(':
+            return this.parseParenAndDistinguish()
+          case '[':
+            return this.parseArray()
+          case '{':
+            return this.parseObject()
+          case '/':
+          case '/=':
+            return this.parseRegex()
+        }
+    }
+    return this.unexpected()
+  }
+
+  parseRegex (): ESTreeNode {
+    const token = this.token = this.readRegex()
+    const slash = token.value.lastIndexOf('/')
+    const pattern = token.value.slice(1, slash)
+    const flags = token.value.slice(slash + 1)
+    let value
+    try {
+      value = new RegExp(pattern, flags)
+    } catch (e) {
+      raise(e.message, token.start, token.end)
+    }
+    this.next()
+    return this.finish({ type: 'Literal', start: token.start, value, raw: token.value, regex: { pattern, flags } })
+  }
+
+  parseTemplate (): ESTreeNode {
+    const start = this.token.start
+    const quasis = []
+    const expressions = []
+    for (;;) {
+      const token = this.token
+      if (token.type !== 'template') {
+        this.unexpected()
+      }
+      const tail = !!token.tail
+      const raw = token.value.slice(1, tail ? -1 : -2)
+      quasis.push({
+        type: 'TemplateElement',
+        start: token.start + 1,
+        end: token.end - (tail ? 1 : 2),
+        value: { raw, cooked: decodeEscapes(raw) },
+        tail
+      })
+      this.next()
+      if (tail) break
+      expressions.push(this.nested(() => this.parseExpression()))
+      if (!this.is('}')) {
+        this.unexpected()
+      }
+      // }之后回到模板字符串中
+      this.token = this.readTemplate(this.token.start)
+    }
+    return this.finish({ type: 'TemplateLiteral', start, quasis, expressions })
+  }
+
+  // (a, b) 可能是括号表达式，也可能是箭头函数的参数列表，要看后面是否跟着=>
+  parseParenAndDistinguish (): ESTreeNode {
+    const start = this.token.start
+    const items = []
+    // 只能出现在参数列表中的写法：剩余参数、结尾的逗号以及空括号
+    let invalid = null
+    this.nested(() => {
+      this.next()
+      while (!this.is(')')) {
+        if (items.length) {
+          const comma = this.token
+          this.expect(',')
+          if (this.is(')')) {
+            invalid = invalid || comma
+            break
+          }
+        }
+        if (this.is('...')) {
+          invalid = invalid || this.token
+          items.push(this.parseSpread(true))
+        } else {
+          items.push(this.parseMaybeAssign(true))
+        }
+      }
+      if (!items.length) {
+        invalid = this.token
+      }
+      this.next()
+    })
+    if (this.is('=>') && !this.token.newline) {
+      this.coverInit = -1
+      return this.parseArrow(start, items.map(item => this.toAssignable(item, true)), false)
+    }
+    if (invalid) {
+      this.unexpected(invalid)
+    }
+    if (items.length === 1) {
+      return items[0]
+    }
+    return {
+      type: 'SequenceExpression',
+      start: items[0].start,
+      end: items[items.length - 1].end,
+      expressions: items
+    }
+  }
+
+  parseArray (): ESTreeNode {
+    const start = this.token.start
+    return this.nested(() => {
+      this.next()
+      const elements = []
+      while (!this.eat(']')) {
+        if (this.eat(',')) {
+          elements.push(null)
+          continue
+        }
+        elements.push(this.is('...') ? this.parseSpread(true) : this.parseMaybeAssign(true))
+        if (!this.is(']')) {
+          this.expect(',')
+        }
+      }
+      return this.finish({ type: 'ArrayExpression', start, elements })
+    })
+  }
+
+  parseObject (): ESTreeNode {
+    const start = this.token.start
+    return this.nested(() => {
+      this.next()
+      const properties = []
+      while (!this.eat('}')) {
+        if (properties.length) {
+          this.expect(',')
+          if (this.eat('}')) break
+        }
+        properties.push(this.parseProperty())
+      }
+      return this.finish({ type: 'ObjectExpression', start, properties })
+    })
+  }
+
+  parseProperty (): ESTreeNode {
+    const start = this.token.start
+    if (this.is('...')) {
+      return this.parseSpread(true)
+    }
+    let isAsync = false
+    let generator = false
+    let kind = 'init'
+    const modifier = this.token.value
+    if (this.token.type === 'name' && (modifier === 'async' || modifier === 'get' || modifier === 'set')) {
+      // { get: 1 }、{ get() {} } 中的get只是属性名
+      const next = this.peek()
+      if (!(next.type === 'punc' && ',:(}='.indexOf(next.value) > -1) && !next.newline) {
+        this.next()
+        if (modifier === 'async') {
+          isAsync = true
+        } else {
+          kind = modifier
+        }
+      }
+    }
+    if (this.is('*')) {
+      this.next()
+      generator = true
+    }
+    const keyToken = this.token
+    const { key, computed } = this.parsePropertyName()
+    if (this.is('(')) {
+      const value = this.parseMethod(isAsync, generator)
+      return this.finish({ type: 'Property', start, method: kind === 'init', shorthand: false, computed, key, value, kind })
+    }
+    if (isAsync || generator || kind !== 'init') {
+      this.unexpected()
+    }
+    if (this.eat(':')) {
+      const value = this.parseMaybeAssign(true)
+      return this.finish({ type: 'Property', start, method: false, shorthand: false, computed, key, value, kind })
+    }
+    // { a }，以及只能出现在解构中的 { a = 1 }
+    if (computed || !this.isIdentifier(keyToken)) {
+      this.unexpected(keyToken)
+    }
+    let value = cloneIdentifier(key)
+    if (this.is('=')) {
+      if (this.coverInit < 0) {
+        this.coverInit = this.token.start
+      }
+      this.next()
+      const right = this.parseMaybeAssign()
+      value = this.finish({ type: 'AssignmentPattern', start, left: value, right })
+    }
+    return this.finish({ type: 'Property', start, method: false, shorthand: true, computed, key, value, kind })
+  }
+
+  parsePropertyName (): { key: ESTreeNode, computed: boolean } {
+    const token = this.token
+    if (this.is('[')) {
+      const key = this.nested(() => {
+        this.next()
+        const expression = this.parseMaybeAssign()
+        this.expect(']')
+        return expression
+      })
+      return { key, computed: true }
+    }
+    if (token.type === 'string' || token.type === 'num') {
+      return { key: this.parseExprAtom(), computed: false }
+    }
+    return { key: this.parseIdent(true), computed: false }
+  }
+
+  // ---------- classes ----------
+
+  parseClass (start: number, isStatement: boolean): ESTreeNode {
+    this.next()
+    const id = this.isIdentifier(this.token) ? this.parseIdent(false) : null
+    if (isStatement && !id) {
+      this.unexpected()
+    }
+    let superClass = null
+    if (this.eat('extends')) {
+      const superStart = this.token.start
+      superClass = this.parseSubscripts(this.parseExprAtom(), superStart, false)
+    }
+    const bodyStart = this.token.start
+    const privateNames = { declared: {}, used: [] }
+    this.privateNameScopes.push(privateNames)
+    const members = this.nested(() => {
+      this.expect('{')
+      const members = []
+      while (!this.eat('}')) {
+        if (this.eat(';')) continue
+        if (this.token.type === 'eof') {
+          this.unexpected()
+        }
+        members.push(this.parseClassMember(!!superClass))
+      }
+      return members
+    })
+    const body = this.finish({ type: 'ClassBody', start: bodyStart, body: members })
+    this.privateNameScopes.pop()
+    // 类中用到但没有声明的私有名称交给外层的类检查
+    const outer = this.privateNameScopes[this.privateNameScopes.length - 1]
+    privateNames.used.forEach(node => {
+      if (!privateNames.declared.hasOwnProperty(node.name)) {
+        this.usePrivateName(node, outer)
+      }
+    })
+    return this.finish({
+      type: isStatement ? 'ClassDeclaration' : 'ClassExpression',
+      start,
+      id,
+      superClass,
+      body
+    })
+  }
+
+  // static、async、get和set后面紧跟着(、=、;或}时只是成员的名字
+  isClassModifier (name: string): boolean {
+    if (!this.is(name)) {
+      return false
+    }
+    const next = this.peek()
+    return next.type !== 'eof' &&
+      !(next.type === 'punc' && '(=;}'.indexOf(next.value) > -1) &&
+      !(name === 'async' && next.newline)
+  }
+
+  parseClassMember (derived: boolean): ESTreeNode {
+    const start = this.token.start
+    const isStatic = this.isClassModifier('static')
+    if (isStatic) {
+      this.next()
+      if (this.is('{')) {
+        return this.parseStaticBlock(start)
+      }
+    }
+    let isAsync = false
+    let generator = false
+    let kind = 'method'
+    if (this.isClassModifier('async')) {
+      this.next()
+      isAsync = true
+    } else if (this.isClassModifier('get') || this.isClassModifier('set')) {
+      kind = this.token.value
+      this.next()
+    }
+    if (kind === 'method' && this.eat('*')) {
+      generator = true
+    }
+    const keyToken = this.token
+    const { key, computed } = this.parseClassKey()
+    const isConstructor = !isStatic && !computed && (
+      key.name === 'constructor' || key.value === 'constructor'
+    )
+    if (this.is('(')) {
+      if (isConstructor) {
+        if (isAsync || generator || kind !== 'method') {
+          raise('Class constructor may not be an accessor, generator or async method', keyToken.start, keyToken.end)
+        }
+        kind = 'constructor'
+      }
+      const value = this.parseMethod(isAsync, generator, kind === 'constructor' && derived)
+      return this.finish({ type: 'MethodDefinition', start, static: isStatic, computed, key, kind, value })
+    }
+    if (isAsync || generator || kind !== 'method') {
+      this.unexpected()
+    }
+    if (!computed && (key.name === 'constructor' || key.value === 'constructor')) {
+      raise("Classes may not have a field named 'constructor'", keyToken.start, keyToken.end)
+    }
+    let value = null
+    if (this.eat('=')) {
+      // 字段的初始值如同在方法中求值，可以使用super.x和new.target
+      const context = this.enterFunction(false, false, false, true)
+      value = this.parseMaybeAssign()
+      this.leaveFunction(context)
+    }
+    this.semicolon()
+    return this.finish({ type: 'PropertyDefinition', start, static: isStatic, computed, key, value })
+  }
+
+  parseClassKey (): { key: ESTreeNode, computed: boolean } {
+    if (this.token.type !== 'privateName') {
+      return this.parsePropertyName()
+    }
+    const token = this.token
+    this.next()
+    const key = this.finish({ type: 'PrivateIdentifier', start: token.start, name: token.value.slice(1) })
+    const scope = this.privateNameScopes[this.privateNameScopes.length - 1]
+    scope.declared[key.name] = true
+    return { key, computed: false }
+  }
+
+  parseStaticBlock (start: number): ESTreeNode {
+    // 静态块中不能return，但可以使用super.x
+    const context = this.enterFunction(false, false, false, true)
+    this.inFunction = false
+    const block = this.parseFunctionBody()
+    this.leaveFunction(context)
+    return this.finish({ type: 'StaticBlock', start, body: block.body })
+  }
+
+  // a.b 和 a.#b
+  parseMemberName (): ESTreeNode {
+    return this.token.type === 'privateName'
+      ? this.parsePrivateName()
+      : this.parseIdent(true)
+  }
+
+  parsePrivateName (): ESTreeNode {
+    const token = this.token
+    this.next()
+    const node = this.finish({ type: 'PrivateIdentifier', start: token.start, name: token.value.slice(1) })
+    this.usePrivateName(node, this.privateNameScopes[this.privateNameScopes.length - 1])
+    return node
+  }
+
+  usePrivateName (node: ESTreeNode, scope: ?{ used: Array<ESTreeNode> }) {
+    if (!scope) {
+      raise(`Private field '#${node.name}' must be declared in an enclosing class`, node.start, node.end)
+    }
+    scope.used.push(node)
+  }
+
+  parseNew (): ESTreeNode {
+    const start = this.token.start
+    this.next()
+    if (this.eat('.')) {
+      const meta = { type: 'Identifier', start, end: start + 3, name: 'new' }
+      const property = this.parseIdent(true)
+      if (property.name !== 'target') {
+        raise('The only valid meta property for new is new.target', property.start, property.end)
+      }
+      if (!this.allowNewTarget) {
+        raise('new.target expression is not allowed here', start, property.end)
+      }
+      return this.finish({ type: 'MetaProperty', start, meta, property })
+    }
+    const calleeStart = this.token.start
+    const callee = this.parseSubscripts(this.parseExprAtom(), calleeStart, true)
+    const args = this.is('(') ? this.parseArguments(false) : []
+    return this.finish({ type: 'NewExpression', start, callee, arguments: args })
+  }
+
+  // liberal: any name is fine, like property names after a dot
+  parseIdent (liberal: boolean): ESTreeNode {
+    const token = this.token
+    if (token.type !== 'name' || (!liberal && !this.isIdentifier(token))) {
+      this.unexpected()
+    }
+    this.next()
+    return this.finish({ type: 'Identifier', start: token.start, name: token.value })
+  }
+}
+
+function createIdentRE (chars: string, fallback: string): RegExp {
+  try {
+    return new RegExp(`^[${chars}]`, 'u')
+  } catch (e) {
+    return new RegExp(`^[${fallback}]`)
+  }
+}
+
+// 位于pos的字符属于标识符时返回它的长度(代理对为2)，否则返回0
+function identCharLength (input: string, pos: number, re: RegExp): number {
+  const code = input.charCodeAt(pos)
+  const ch = code >= 0xd800 && code <= 0xdbff
+    ? input.slice(pos, pos + 2)
+    : input.charAt(pos)
+  return ch && re.test(ch) ? ch.length : 0
+}
+
+function skipIdentChars (input: string, pos: number): number {
+  let length
+  while ((length = identCharLength(input, pos, identRE))) {
+    pos += length
+  }
+  return pos
+}
+
+function raise (message: string, start: number, end: number): empty {
+  const error: any = new SyntaxError(message)
+  error.start = start
+  error.end = end
+  throw error
+}
+
+function unexpectedMessage (token: Token): string {
+  switch (token.type) {
+    case 'eof': return 'Unexpected end of input'
+    case 'num': return 'Unexpected number'
+    case 'string': return 'Unexpected string'
+    case 'template': return 'Unexpected template string'
+    case 'name':
+      if (!isReservedWord(token.value)) {
+        return `Unexpected identifier '${token.value}'`
+      }
+  }
+  return `Unexpected token '${token.value}'`
+}
+
+function decodeEscapes (raw: string): string {
+  return raw.replace(escapeRE, (match, c) => {
+    if (c.charAt(0) === 'u') {
+      return String.fromCodePoint(parseInt(c.charAt(1) === '{' ? c.slice(2, -1) : c.slice(1), 16))
+    }
+    if (c.charAt(0) === 'x') {
+      return String.fromCharCode(parseInt(c.slice(1), 16))
+    }
+    // 反斜杠加换行是续行符
+    if (lineBreakRE.test(c.charAt(0))) {
+      return ''
+    }
+    return escapes.hasOwnProperty(c) ? escapes[c] : c
+  })
+}
+
+// { a } 的值与键是同一个标识符，但作为两个节点分别出现在AST中
+function cloneIdentifier (node: ESTreeNode): ESTreeNode {
+  return { type: 'Identifier', start: node.start, end: node.end, name: node.name }
+}
+
+function forEachChild (node: ESTreeNode, fn: (child: ESTreeNode) => void) {
+  for (const key in node) {
+    const value = node[key]
+    if (Array.isArray(value)) {
+      value.forEach(child => {
+        if (child && typeof child.type === 'string') fn(child)
+      })
+    } else if (value && typeof value === 'object' && typeof value.type === 'string') {
+      fn(value)
+    }
+  }
+}
+
+function isFunction (node: ESTreeNode): boolean {
+  return node.type === 'FunctionExpression' ||
+    node.type === 'FunctionDeclaration' ||
+    node.type === 'ArrowFunctionExpression'
+}
+
+function isDeclared (scopes: Array<Object>, name: string): boolean {
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (scopes[i][name] === true) return true
+  }
+  return false
+}
+
+// 变量声明都算在包含它的函数中，与var的提升一致，let和const也不再细分块级作用域
+function collectDeclarations (node: ESTreeNode, scope: Object) {
+  if (node.type === 'VariableDeclaration') {
+    node.declarations.forEach(decl => collectPattern(decl.id, scope))
+  } else if (node.type === 'FunctionDeclaration' || node.type === 'ClassDeclaration') {
+    scope[node.id.name] = true
+    return
+  } else if (isFunction(node) || node.type === 'ClassExpression') {
+    // 类中只有函数和静态块，它们的声明都不属于外层
+    return
+  }
+  forEachChild(node, child => collectDeclarations(child, scope))
+}
+
+function collectPattern (node: ESTreeNode, scope: Object) {
+  switch (node.type) {
+    case 'Identifier':
+      scope[node.name] = true
+      break
+    case 'ObjectPattern':
+      node.properties.forEach(prop => {
+        collectPattern(prop.type === 'RestElement' ? prop.argument : prop.value, scope)
+      })
+      break
+    case 'ArrayPattern':
+      node.elements.forEach(element => {
+        if (element) collectPattern(element, scope)
+      })
+      break
+    case 'RestElement':
+      collectPattern(node.argument, scope)
+      break
+    case 'AssignmentPattern':
+      collectPattern(node.left, scope)
+      break
+  }
+}
+
+function walkScoped (
+  node: ESTreeNode,
+  parent: ESTreeNode,
+  scopes: Array<Object>,
+  onIdentifier: Function
+) {
+  switch (node.type) {
+    case 'Identifier':
+      if (!isDeclared(scopes, node.name)) {
+        onIdentifier(node, parent)
+      }
+      return
+    case 'MemberExpression':
+      walkScoped(node.object, node, scopes, onIdentifier)
+      if (node.computed) {
+        walkScoped(node.property, node, scopes, onIdentifier)
+      }
+      return
+    case 'Property':
+    case 'MethodDefinition':
+    case 'PropertyDefinition':
+      if (node.computed) {
+        walkScoped(node.key, node, scopes, onIdentifier)
+      }
+      if (node.value) {
+        walkScoped(node.value, node, scopes, onIdentifier)
+      }
+      return
+    case 'ClassDeclaration':
+    case 'ClassExpression': {
+      // 类名在类的内部可见，类声明的名字已经在外层声明过
+      const inner = node.id ? scopes.concat({ [node.id.name]: true }) : scopes
+      if (node.superClass) {
+        walkScoped(node.superClass, node, inner, onIdentifier)
+      }
+      walkScoped(node.body, node, inner, onIdentifier)
+      return
+    }
+    case 'StaticBlock': {
+      const scope = {}
+      node.body.forEach(statement => collectDeclarations(statement, scope))
+      const inner = scopes.concat(scope)
+      node.body.forEach(statement => walkScoped(statement, node, inner, onIdentifier))
+      return
+    }
+    case 'FunctionExpression':
+    case 'FunctionDeclaration':
+    case 'ArrowFunctionExpression': {
+      const scope = {}
+      // 具名函数表达式的名字只在函数内部可见
+      if (node.type === 'FunctionExpression' && node.id) {
+        scope[node.id.name] = true
+      }
+      node.params.forEach(param => collectPattern(param, scope))
+      collectDeclarations(node.body, scope)
+      const inner = scopes.concat(scope)
+      node.params.forEach(param => walkPattern(param, node, inner, onIdentifier, true))
+      walkScoped(node.body, node, inner, onIdentifier)
+      return
+    }
+    case 'CatchClause': {
+      const scope = {}
+      if (node.param) {
+        collectPattern(node.param, scope)
+      }
+      const inner = scopes.concat(scope)
+      if (node.param) {
+        walkPattern(node.param, node, inner, onIdentifier, true)
+      }
+      walkScoped(node.body, node, inner, onIdentifier)
+      return
+    }
+    case 'VariableDeclarator':
+      walkPattern(node.id, node, scopes, onIdentifier, true)
+      if (node.init) {
+        walkScoped(node.init, node, scopes, onIdentifier)
+      }
+      return
+    case 'AssignmentExpression':
+      walkPattern(node.left, node, scopes, onIdentifier, false)
+      walkScoped(node.right, node, scopes, onIdentifier)
+      return
+    case 'ForInStatement':
+    case 'ForOfStatement':
+      if (node.left.type === 'VariableDeclaration') {
+        walkScoped(node.left, node, scopes, onIdentifier)
+      } else {
+        walkPattern(node.left, node, scopes, onIdentifier, false)
+      }
+      walkScoped(node.right, node, scopes, onIdentifier)
+      walkScoped(node.body, node, scopes, onIdentifier)
+      return
+    case 'LabeledStatement':
+      walkScoped(node.body, node, scopes, onIdentifier)
+      return
+    case 'BreakStatement':
+    case 'ContinueStatement':
+    case 'MetaProperty':
+      return
+  }
+  forEachChild(node, child => walkScoped(child, node, scopes, onIdentifier))
+}
+
+// binding patterns declare their names, only default values and computed
+// keys are walked. Assignment targets are references
+function walkPattern (
+  node: ESTreeNode,
+  parent: ESTreeNode,
+  scopes: Array<Object>,
+  onIdentifier: Function,
+  isBinding: boolean
+) {
+  switch (node.type) {
+    case 'Identifier':
+      if (!isBinding) {
+        walkScoped(node, parent, scopes, onIdentifier)
+      }
+      return
+    case 'ObjectPattern':
+      node.properties.forEach(prop => {
+        if (prop.type === 'RestElement') {
+          walkPattern(prop.argument, prop, scopes, onIdentifier, isBinding)
+          return
+        }
+        if (prop.computed) {
+          walkScoped(prop.key, prop, scopes, onIdentifier)
+        }
+        const value = prop.value
+        if (prop.shorthand && value.type === 'AssignmentPattern') {
+          // ({ a = 1 } = obj) 中的a，父节点按简写属性处理
+          walkPattern(value.left, prop, scopes, onIdentifier, isBinding)
+          walkScoped(value.right, value, scopes, onIdentifier)
+        } else {
+          walkPattern(value, prop, scopes, onIdentifier, isBinding)
+        }
+      })
+      return
+    case 'ArrayPattern':
+      node.elements.forEach(element => {
+        if (element) walkPattern(element, node, scopes, onIdentifier, isBinding)
+      })
+      return
+    case 'RestElement':
+      walkPattern(node.argument, node, scopes, onIdentifier, isBinding)
+      return
+    case 'AssignmentPattern':
+      walkPattern(node.left, node, scopes, onIdentifier, isBinding)
+      walkScoped(node.right, node, scopes, onIdentifier)
+      return
+  }
+  // 赋值的目标还可能是a.b这样的成员表达式
+  walkScoped(node, parent, scopes, onIdentifier)
+}
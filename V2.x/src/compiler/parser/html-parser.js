@@ -122,7 +122,7 @@ export function parseHTML (html, options) {
           if (commentEnd >= 0) {
             // 如果为真则调用options.comment函数，并将注释节点的内容作为参数传递
             if (options.shouldKeepComment) {
-              options.comment(html.substring(4, commentEnd))
+              options.comment(html.substring(4, commentEnd), index, index + commentEnd + 3)
             }
             // 将已经parse完毕的字符串剔除，调用advance函数
             advance(commentEnd + 3)
@@ -194,17 +194,19 @@ export function parseHTML (html, options) {
           rest = html.slice(textEnd)
         }
         text = html.substring(0, textEnd)
-        advance(textEnd)
       }
 
       if (textEnd < 0) {
         text = html
-        html = ''
+      }
+
+      if (text) {
+        advance(text.length)
       }
 
       // 字符串0<1会被作为普通字符串处理
       if (options.chars && text) {
-        options.chars(text)
+        options.chars(text, index - text.length, index)
       }
     } else {
       // 即将parse的内容是在纯文本标签里(script，style，textare)
@@ -242,7 +244,7 @@ export function parseHTML (html, options) {
     if (html === last) {
       options.chars && options.chars(html)
       if (process.env.NODE_ENV !== 'production' && !stack.length && options.warn) {
-        options.warn(`Mal-formatted tag at end of template: "${html}"`)
+        options.warn(`Mal-formatted tag at end of template: "${html}"`, { start: index + html.length })
       }
       break
     }
@@ -285,7 +287,9 @@ export function parseHTML (html, options) {
         //   undefined
         // ]
         // 调用advance，参数用attr[0].length即整个属性的长度
+        attr.start = index
         advance(attr[0].length)
+        attr.end = index
         // 将此次循环匹配到的结果push到定义的match对象的attrs数组中
         match.attrs.push(attr)
       }
@@ -376,12 +380,17 @@ export function parseHTML (html, options) {
         name: args[1],
         value: decodeAttr(value, shouldDecodeNewlines)
       }
+      // 属性的范围不包含前面的空白
+      if (process.env.NODE_ENV !== 'production' && options.outputSourceRange) {
+        attrs[i].start = args.start + args[0].match(/^\s*/)[0].length
+        attrs[i].end = args.end
+      }
     }
 
     // 判断条件时当开始标签是非一元标签时才会执行，目的是
     // 如果开始标签是非一元标签，则将该开始标签的信息入栈，即push到stack数组中，并将lastTag的值设置为该标签
     if (!unary) {
-      stack.push({ tag: tagName, lowerCasedTag: tagName.toLowerCase(), attrs: attrs })
+      stack.push({ tag: tagName, lowerCasedTag: tagName.toLowerCase(), attrs: attrs, start: match.start, end: match.end })
       lastTag = tagName
     }
 
@@ -431,7 +440,8 @@ export function parseHTML (html, options) {
           options.warn
         ) {
           options.warn(
-            `tag <${stack[i].tag}> has no matching end tag.`
+            `tag <${stack[i].tag}> has no matching end tag.`,
+            { start: stack[i].start, end: stack[i].end }
           )
         }
         if (options.end) {
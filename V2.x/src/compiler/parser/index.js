@@ -22,6 +22,7 @@ import {
   addHandler,
   addDirective,
   getBindingAttr,
+  getRawBindingAttr,
   getAndRemoveAttr,
   pluckModuleFunction
 } from '../helpers'
@@ -92,6 +93,7 @@ export function createASTElement (
     tag,
     attrsList: attrs,
     attrsMap: makeAttrsMap(attrs),
+    rawAttrsMap: {},
     parent,
     children: []
   }
@@ -138,10 +140,10 @@ export function parse (
   let inPre = false
   let warned = false
 
-  function warnOnce (msg) {
+  function warnOnce (msg, range) {
     if (!warned) {
       warned = true
-      warn(msg)
+      warn(msg, range)
     }
   }
 
@@ -170,8 +172,9 @@ export function parse (
     shouldDecodeNewlines: options.shouldDecodeNewlines,
     shouldDecodeNewlinesForHref: options.shouldDecodeNewlinesForHref,
     shouldKeepComment: options.comments,
+    outputSourceRange: options.outputSourceRange,
     // start钩子函数，在解析html字符串时每次遇到开始标签时就会调用该函数
-    start (tag, attrs, unary) {
+    start (tag, attrs, unary, start, end) {
       // check namespace.
       // inherit parent ns if there is one
       // 检查当前元素的命名空间，何如获取？首先检查currentParent，如果存在命名空间，就使用这个命名空间，否则使用platformGetTagNamespace获取当前命名空间
@@ -191,6 +194,18 @@ export function parse (
         element.ns = ns
       }
 
+      // 记录元素及其属性在模板中的起止位置，以便警告信息可以指出出错的位置
+      if (process.env.NODE_ENV !== 'production') {
+        if (options.outputSourceRange) {
+          element.start = start
+          element.end = end
+          element.rawAttrsMap = element.attrsList.reduce((cumulated, attr) => {
+            cumulated[attr.name] = attr
+            return cumulated
+          }, {})
+        }
+      }
+
       // 判断非服务端渲染情况下，当前元素是否是禁止在模板中使用的标签
       // style和script都是被认为禁止的标签，因为Vue认为模板应该只负责做数据状态到UI的映射，而不应该存在引起副作用的代码
       // 如果模板中存在<script>标签，那么标签内的diamante很容易引起副作用
@@ -205,7 +220,8 @@ export function parse (
         process.env.NODE_ENV !== 'production' && warn(
           'Templates should only be responsible for mapping the state to the ' +
           'UI. Avoid placing tags with side-effects in your templates, such as ' +
-          `<${tag}>` + ', as they will not be parsed.'
+          `<${tag}>` + ', as they will not be parsed.',
+          { start: element.start }
         )
       }
 
@@ -248,42 +264,16 @@ export function parse (
         processElement(element, options)
       }
 
-      // 作用是用来检测模板根元素是否符合要求，
-      // 在编写Vue模板的时候会受到两种约束，首先模板必须有且仅有一个被渲染的根元素，第二不能使用slot标签和template标签作为模板的根元素
-      // slot作为插槽，它的内容时由外界决定的，而插槽的内容很有可能渲染多个节点
-      // template元素的内容虽然不是由外界决定的，但它本身作为抽象组件是不会渲染任何内容到页面的
-      // 这些限制的原因只有一个 必须有且仅有一个根元素
-      function checkRootConstraints (el) {
-        if (process.env.NODE_ENV !== 'production') {
-          if (el.tag === 'slot' || el.tag === 'template') {
-            warnOnce(
-              `Cannot use <${el.tag}> as component root element because it may ` +
-              'contain multiple nodes.'
-            )
-          }
-          if (el.attrsMap.hasOwnProperty('v-for')) {
-            warnOnce(
-              'Cannot use v-for on stateful component root element because ' +
-              'it renders multiple elements.'
-            )
-          }
-        }
-      }
-
+      // 根元素可以渲染多个节点(<template>、<slot>、v-for以及多个根元素)，它们会被渲染为Fragment
       // tree management
       // root变量不存在，说明当前元素应该就是根元素，所以在if语句块内直接将当前元素的描述对象element赋值给root变量
       if (!root) {
         root = element
-        checkRootConstraints(root)
       } else if (!stack.length) {
         // allow root elements with v-if, v-else-if and v-else
         // 如果stack数组为空并且当前正在解析开始标签，说明了什么？正常情况下当stack被清空后则说明整个模板字符串已经解析完毕了，但此时start钩子函数仍然被调用，说明模板中存在多个根元素，这时elseif语句块内的代码将被执行
-        // Vue模板约束是必须有且仅有一个被渲染的根元素，但可以定义多个根元素，只要能够保证最终只会渲染其中一个元素即可
-        // 能够达到这个目的的方式只有一种，那就是在多个根元素之间使用v-if或v-else-if或v-else
-        // 这些描述都是通过processIf函数处理元素描述对象时，发现元素的属性中有v-if或v-else-if或v-else，就会添加响应的属性作为标识
         // root为第一个根元素的描述对象，element为当前元素描述对象，即非第一个根元素的描述对象
-        // 如果条件成立就能够保证所有根元素都是由v-if、v-else-if、v-else等指令控制的
-        // 间接保证了被渲染的根元素只有一个
+        // 如果条件成立说明所有根元素都是由v-if、v-else-if、v-else等指令控制的，最终只会渲染其中一个元素
         // 举例
         // <div v-if="a"></div>
         // <p v-else-if="b"></p>
@@ -301,18 +291,22 @@ export function parse (
         //   }]
         // }
         // 其实带有v-if属性的元素也会将自身的元素描述对象添加到自身的.ifConditions数组中
-        if (root.if && (element.elseif || element.else)) {
-          checkRootConstraints(element)
+        if (!root.rootFragment && root.if && (element.elseif || element.else)) {
           addIfCondition(root, {
             exp: element.elseif,
             block: element
           })
-        } else if (process.env.NODE_ENV !== 'production') {
-          warnOnce(
-            `Component template should contain exactly one root element. ` +
-            `If you are using v-if on multiple elements, ` +
-            `use v-else-if to chain them instead.`
-          )
+        } else {
+          // 多个根元素被收集到一个<template>片段中，渲染函数返回的数组会被包装为Fragment VNode
+          if (!root.rootFragment) {
+            root = createRootFragment(root)
+          }
+          if (element.elseif || element.else) {
+            processIfConditions(element, root)
+          } else if (!element.forbidden) {
+            root.children.push(element)
+            element.parent = root
+          }
         }
       }
       // 存在父级且当前元素不是被禁止的元素
@@ -342,7 +336,7 @@ export function parse (
       }
     },
     // end钩子函数，在解析html字符串时每次遇到结束标签时就会调用该函数
-    end () {
+    end (tag, start, end) {
       // remove trailing whitespace
       // 当遇到结束标签的时候意味着currentParent变量所代表的标签以及其子节点全部解析完毕
       // 此时应该把currentParent变量的引用修改为当前标签的父标签，这样我们就将作用域还原给了上层节点
@@ -357,10 +351,13 @@ export function parse (
       // pop stack
       stack.length -= 1
       currentParent = stack[stack.length - 1]
+      if (process.env.NODE_ENV !== 'production' && options.outputSourceRange) {
+        element.end = end
+      }
       closeElement(element)
     },
     // chars钩子函数，在解析html字符串时每次遇到纯文本时就会调用该函数
-    chars (text: string) {
+    chars (text: string, start: number, end: number) {
       // 什么情况下会出现文本节点没有父级节点呢？
       // 第一：模板中只有文本节点 <template>我是文本节点</template>
       // 第二：文本节点在根元素的外面 <template><div>根元素内的文本节点</div>根元素外的文本节点
@@ -368,11 +365,13 @@ export function parse (
         if (process.env.NODE_ENV !== 'production') {
           if (text === template) {
             warnOnce(
-              'Component template requires a root element, rather than just text.'
+              'Component template requires a root element, rather than just text.',
+              { start }
             )
           } else if ((text = text.trim())) {
             warnOnce(
-              `text "${text}" outside root element will be ignored.`
+              `text "${text}" outside root element will be ignored.`,
+              { start }
             )
           }
         }
@@ -407,23 +406,31 @@ export function parse (
         // 如果解析成功，则说明该文本节点的内容确实包含字面量表达式
         // 并创建一个类型为2(type=2)的元素描述对象，添加到父级的子节点中
         // 类型为2的元素描述对象拥有三个特殊的属性，分别是expression、tokens及text
+        let child: ?ASTNode
         if (!inVPre && text !== ' ' && (res = parseText(text, delimiters))) {
-          children.push({
+          child = {
             type: 2,
             expression: res.expression,
             tokens: res.tokens,
             text
-          })
+          }
         }
         // 有三种情况以上if语句判断会失败
         // 1. 文本节点存在于使用了v-pre指令的标签之内
         // 2. 文本节点时空格字符
         // 3. 文本节点的文本内容通过parseText函数解析失败
         else if (text !== ' ' || !children.length || children[children.length - 1].text !== ' ') {
-          children.push({
+          child = {
             type: 3,
             text
-          })
+          }
+        }
+        if (child) {
+          if (process.env.NODE_ENV !== 'production' && options.outputSourceRange) {
+            child.start = start
+            child.end = end
+          }
+          children.push(child)
         }
       }
     },
@@ -431,17 +438,37 @@ export function parse (
     // 解析器是否会解析并保留注释节点，是由shouldKeepComment编译器选项决定的
     // 开发者可以在创建Vue实例的时候通过设置comments选项的值来控制编译器的shouldKeepComment选项
     // 默认情况下comments选项的值为false，即不保留注释，假如将其设置为true，comment钩子函数会被调用
-    comment (text: string) {
-      currentParent.children.push({
+    comment (text: string, start, end) {
+      const child: ASTText = {
         type: 3,
         text,
         isComment: true
-      })
+      }
+      if (process.env.NODE_ENV !== 'production' && options.outputSourceRange) {
+        child.start = start
+        child.end = end
+      }
+      currentParent.children.push(child)
     }
   })
+  if (root && root.rootFragment && root.start !== undefined) {
+    root.end = root.children[root.children.length - 1].end
+  }
   return root
 }
 
+// 模板中有多个根元素时，将它们包装在一个没有属性的<template>元素中
+function createRootFragment (first: ASTElement): ASTElement {
+  const fragment = createASTElement('template', [], undefined)
+  fragment.rootFragment = true
+  if (first.start !== undefined) {
+    fragment.start = first.start
+  }
+  fragment.children.push(first)
+  first.parent = fragment
+  return fragment
+}
+
 // 以下所有方法中的el实际上就是元素的描述对象
 // el = {
 //   type: 1,
@@ -470,7 +497,7 @@ function processPre (el) {
 function processRawAttrs (el) {
   const l = el.attrsList.length
   if (l) {
-    const attrs = el.attrs = new Array(l)
+    const attrs: Array<ASTAttr> = el.attrs = new Array(l)
     for (let i = 0; i < l; i++) {
       attrs[i] = {
         name: el.attrsList[i].name,
@@ -489,6 +516,10 @@ function processRawAttrs (el) {
         // 因此这里使用JSON.stringify实际上就是保证最终生成的代码中el.attrsList[i].value属性始终被作为普通的字符串处理
         value: JSON.stringify(el.attrsList[i].value)
       }
+      if (el.attrsList[i].start != null) {
+        attrs[i].start = el.attrsList[i].start
+        attrs[i].end = el.attrsList[i].end
+      }
     }
   } else if (!el.pre) {
     // 如果一个标签没有任何属性，并且该标签是使用了v-pre指令标签的子代标签，那么该标签的元素描述对象将被添加element.plain属性，并且其值为true
@@ -556,7 +587,10 @@ function processKey (el) {
   if (exp) {
     // 提示template标签是不需要使用key属性的
     if (process.env.NODE_ENV !== 'production' && el.tag === 'template') {
-      warn(`<template> cannot be keyed. Place the key on real elements instead.`)
+      warn(
+        `<template> cannot be keyed. Place the key on real elements instead.`,
+        getRawBindingAttr(el, 'key')
+      )
     }
     el.key = exp
   }
@@ -580,7 +614,8 @@ export function processFor (el: ASTElement) {
       extend(el, res)
     } else if (process.env.NODE_ENV !== 'production') {
       warn(
-        `Invalid v-for expression: ${exp}`
+        `Invalid v-for expression: ${exp}`,
+        el.rawAttrsMap['v-for']
       )
     }
   }
@@ -658,7 +693,8 @@ function processIfConditions (el, parent) {
   } else if (process.env.NODE_ENV !== 'production') {
     warn(
       `v-${el.elseif ? ('else-if="' + el.elseif + '"') : 'else'} ` +
-      `used on element <${el.tag}> without corresponding v-if.`
+      `used on element <${el.tag}> without corresponding v-if.`,
+      el.rawAttrsMap[el.elseif ? 'v-else-if' : 'v-else']
     )
   }
 }
@@ -683,7 +719,8 @@ function findPrevElement (children: Array<any>): ASTElement | void {
       if (process.env.NODE_ENV !== 'production' && children[i].text !== ' ') {
         warn(
           `text "${children[i].text.trim()}" between v-if and v-else(-if) ` +
-          `will be ignored.`
+          `will be ignored.`,
+          children[i]
         )
       }
       children.pop()
@@ -716,7 +753,8 @@ function processSlot (el) {
       warn(
         `\`key\` does not work on <slot> because slots are abstract outlets ` +
         `and can possibly expand into multiple elements. ` +
-        `Use the key on a wrapping element instead.`
+        `Use the key on a wrapping element instead.`,
+        getRawBindingAttr(el, 'key')
       )
     }
   } else {
@@ -732,6 +770,7 @@ function processSlot (el) {
           `replaced by "slot-scope" since 2.5. The new "slot-scope" attribute ` +
           `can also be used on plain elements in addition to <template> to ` +
           `denote scoped slots.`,
+          el.rawAttrsMap['scope'],
           true
         )
       }
@@ -750,6 +789,7 @@ function processSlot (el) {
           `Ambiguous combined usage of slot-scope and v-for on <${el.tag}> ` +
           `(v-for takes higher priority). Use a wrapper <template> for the ` +
           `scoped slot to make it clearer.`,
+          el.rawAttrsMap['slot-scope'],
           true
         )
       }
@@ -762,7 +802,7 @@ function processSlot (el) {
       // preserve slot as an attribute for native shadow DOM compat
       // only for non-scoped slots.
       if (el.tag !== 'template' && !el.slotScope) {
-        addAttr(el, 'slot', slotTarget)
+        addAttr(el, 'slot', slotTarget, getRawBindingAttr(el, 'slot'))
       }
     }
   }
@@ -848,7 +888,11 @@ function processAttrs (el) {
             addHandler(
               el,
               `update:${camelize(name)}`,
-              genAssignmentCode(value, `$event`)
+              genAssignmentCode(value, `$event`),
+              null,
+              false,
+              warn,
+              list[i]
             )
           }
         }
@@ -861,13 +905,13 @@ function processAttrs (el) {
           //  option标签的selected属性应该使用元素对象的原生的prop绑定
           //  input标签的checked属性应该使用元素对象的原生的prop绑定
           //  video标签的muted属性应该使用元素对象的原生的prop绑定
-          addProp(el, name, value)
+          addProp(el, name, value, list[i])
         } else {
-          addAttr(el, name, value)
+          addAttr(el, name, value, list[i])
         }
       } else if (onRE.test(name)) { // v-on
         name = name.replace(onRE, '')
-        addHandler(el, name, value, modifiers, false, warn)
+        addHandler(el, name, value, modifiers, false, warn, list[i])
       } else { // normal directives
         /**
          * 处理剩下的没有处理的指令
@@ -890,7 +934,7 @@ function processAttrs (el) {
         }
         // 举例 v-custom:arg.modif="myMethod"
         // 最终调用传递的参数为 addDirective(el, 'custom', 'v-custom:arg.modif', 'myMethod', 'arg', {modif: true})
-        addDirective(el, name, rawName, value, arg, modifiers)
+        addDirective(el, name, rawName, value, arg, modifiers, list[i])
         if (process.env.NODE_ENV !== 'production' && name === 'model') {
           checkForAliasModel(el, value)
         }
@@ -909,12 +953,13 @@ function processAttrs (el) {
             `${name}="${value}": ` +
             'Interpolation inside attributes has been removed. ' +
             'Use v-bind or the colon shorthand instead. For example, ' +
-            'instead of <div id="{{ val }}">, use <div :id="val">.'
+            'instead of <div id="{{ val }}">, use <div :id="val">.',
+            list[i]
           )
         }
       }
       // 所有非指令属性，都直接将该属性的值当做一个纯字符串对待
-      addAttr(el, name, JSON.stringify(value))
+      addAttr(el, name, JSON.stringify(value), list[i])
       // #6887 firefox doesn't update muted state if set via attribute
       // even immediately after element creation
       // 实际上元素描述对象的el.attrs数组中所存储的任何属性都会在由虚拟DOM创建真实DOM的过程中使用setAttribute方法将属性添加到真实DOM元素上
@@ -924,7 +969,7 @@ function processAttrs (el) {
       if (!el.component &&
           name === 'muted' &&
           platformMustUseProp(el.tag, el.attrsMap.type, name)) {
-        addProp(el, name, 'true')
+        addProp(el, name, 'true', list[i])
       }
     }
   }
@@ -966,7 +1011,7 @@ function makeAttrsMap (attrs: Array<Object>): Object {
       process.env.NODE_ENV !== 'production' &&
       map[attrs[i].name] && !isIE && !isEdge
     ) {
-      warn('duplicate attribute: ' + attrs[i].name)
+      warn('duplicate attribute: ' + attrs[i].name, attrs[i])
     }
     map[attrs[i].name] = attrs[i].value
   }
@@ -1013,7 +1058,8 @@ function checkForAliasModel (el, value) {
         `You are binding v-model directly to a v-for iteration alias. ` +
         `This will not be able to modify the v-for source array because ` +
         `writing to the alias is like modifying a function local variable. ` +
-        `Consider using an array of objects and use v-model on an object property instead.`
+        `Consider using an array of objects and use v-model on an object property instead.`,
+        el.rawAttrsMap['v-model']
       )
     }
     _el = _el.parent
@@ -2,6 +2,7 @@
 
 import { noop, extend } from 'shared/util'
 import { warn as baseWarn, tip } from 'core/util/debug'
+import { getLocation } from './codeframe'
 
 type CompiledFunctionResult = {
   render: Function;
@@ -75,15 +76,34 @@ export function createCompileToFunctionFn (compile: Function): Function {
     // check compilation errors/tips
     // 用来检查使用功能compile对模板进行编译的过程中是否存在错误和提示，如果存在那么需要将其打印
     if (process.env.NODE_ENV !== 'production') {
+      // 开启outputSourceRange时错误和提示是带有起止位置的对象{ msg, start, end, codeFrame }
+      // 此时只打印出错位置附近的几行代码，而不是整个模板
       if (compiled.errors && compiled.errors.length) {
-        warn(
-          `Error compiling template:\n\n${template}\n\n` +
-          compiled.errors.map(e => `- ${e}`).join('\n') + '\n',
-          vm
-        )
+        if (options.outputSourceRange) {
+          compiled.errors.forEach(e => {
+            warn(
+              `Error compiling template${formatLocation(template, e)}:\n\n${e.msg}` +
+              (e.codeFrame ? `\n\n${e.codeFrame}\n` : '\n'),
+              vm
+            )
+          })
+        } else {
+          warn(
+            `Error compiling template:\n\n${template}\n\n` +
+            compiled.errors.map(e => `- ${e}`).join('\n') + '\n',
+            vm
+          )
+        }
       }
       if (compiled.tips && compiled.tips.length) {
-        compiled.tips.forEach(msg => tip(msg, vm))
+        if (options.outputSourceRange) {
+          compiled.tips.forEach(e => tip(
+            e.codeFrame ? `${e.msg}\n\n${e.codeFrame}\n` : e.msg,
+            vm
+          ))
+        } else {
+          compiled.tips.forEach(msg => tip(msg, vm))
+        }
       }
     }
 
@@ -124,3 +144,12 @@ export function createCompileToFunctionFn (compile: Function): Function {
 // 2. 调用compile函数将模板字符串转换成渲染函数字符串
 // 3. 调用createFunction函数将模板函数字符串转换成真正的渲染函数
 // 4. 打印编译错误，包括：模板字符串 -> 渲染函数字符串 以及 渲染函数字符串 -> 渲染函数 这两个阶段的错误
+
+// 出错位置的行号和列号
+function formatLocation (template: string, e: WarningMessage): string {
+  if (e.start == null) {
+    return ''
+  }
+  const { line, column } = getLocation(template, e.start)
+  return ` at line ${line}, column ${column}`
+}
@@ -0,0 +1,88 @@
+/* @flow */
+
+import { once, noop } from 'shared/util'
+import { createFragmentVNode } from 'core/vdom/vnode'
+
+/**
+ * Register a pending async dependency on a <suspense> boundary.
+ * Returns the function to call once the dependency has settled.
+ */
+export function registerSuspenseDep (boundary: Component): Function {
+  if (boundary._resolved) {
+    return noop
+  }
+  boundary._pendingDeps++
+  return once(() => {
+    if (--boundary._pendingDeps === 0) {
+      // wait for the re-renders triggered by the dependency, which may
+      // reveal further async dependencies, before swapping in the content
+      boundary.$nextTick(() => resolveSuspense(boundary))
+    }
+  })
+}
+
+function resolveSuspense (boundary: Component) {
+  if (!boundary._isDestroyed && !boundary._resolved && boundary._pendingDeps === 0) {
+    boundary._resolved = true
+    boundary.$forceUpdate()
+    boundary.$emit('resolve')
+  }
+}
+
+// suspense同样是抽象组件，异步组件和data()返回Promise的组件会把自己注册为最近的suspense的依赖，
+// 在所有依赖完成之前显示fallback插槽的内容
+export default {
+  name: 'suspense',
+  abstract: true,
+
+  beforeCreate () {
+    this._isSuspense = true
+    this._pendingDeps = 0
+    // the server renderer waits for every async dependency by itself
+    this._resolved = this.$isServer
+  },
+
+  beforeMount () {
+    // 只有在激活服务端渲染的内容时，组件才会带着已有的元素挂载。服务端输出的
+    // 已经是完成后的内容，边界直接视为已完成，按照服务端的结构渲染内容片段
+    if (this.$el) {
+      this._hydrated = true
+      this._resolved = true
+    }
+  },
+
+  mounted () {
+    if (this._hydrated) {
+      this.$emit('resolve')
+    } else if (this._pendingDeps === 0) {
+      // no async dependency was found while mounting the content
+      resolveSuspense(this)
+    }
+  },
+
+  render () {
+    const content = createFragmentVNode(this.$slots.default || [], 'content')
+    content.context = this
+    if (this.$isServer) {
+      content.suspense = {
+        fallback: this.$slots.fallback || []
+      }
+      return content
+    }
+    if (this._hydrated) {
+      return content
+    }
+    // 依赖完成之前，内容被渲染到一个游离的容器中，原位置显示fallback；
+    // 完成后内容被整体移回原位置，同时移除fallback，从而实现原子性的切换
+    content.teleport = {
+      to: null,
+      offscreen: true,
+      disabled: this._resolved
+    }
+    const children = [content]
+    if (!this._resolved) {
+      children.push(createFragmentVNode(this.$slots.fallback || [], 'fallback'))
+    }
+    return createFragmentVNode(children)
+  }
+}
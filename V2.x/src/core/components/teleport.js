@@ -0,0 +1,29 @@
+/* @flow */
+
+import { createFragmentVNode } from 'core/vdom/vnode'
+
+// teleport是一个抽象组件，它的子节点仍然属于当前的组件树(provide/inject、事件、$parent都不受影响)，
+// 只是在patch时被插入到to指定的目标元素中，原位置只保留片段的起止锚点
+export default {
+  name: 'teleport',
+  abstract: true,
+
+  props: {
+    // a selector string or an element
+    to: {
+      required: true
+    },
+    // render the content in place instead
+    disabled: Boolean
+  },
+
+  render () {
+    const vnode = createFragmentVNode(this.$slots.default || [])
+    vnode.context = this
+    vnode.teleport = {
+      to: this.to,
+      disabled: this.disabled
+    }
+    return vnode
+  }
+}
@@ -16,9 +16,13 @@ export type Config = {
   performance: boolean;
   devtools: boolean;
   errorHandler: ?(err: Error, vm: Component, info: string) => void;
-  warnHandler: ?(msg: string, vm: Component, trace: string) => void;
+  warnHandler: ?(msg: string, vm: Component, trace: string, report?: Object) => void;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
+  maxUpdateCount: number;
+  hydrationMismatch: 'patch' | 'rerender' | 'throw';
+  hydrationMismatchHandler: ?(report: Object, vm: ?Component) => ?string;
+  reactivityMode: 'defineProperty' | 'proxy';
 
   // platform
   isReservedTag: (x?: string) => boolean;
@@ -65,10 +69,30 @@ export default ({
   errorHandler: null,
 
   /**
-   * Warn handler for watcher warns
+   * Warn handler for watcher warns.
+   * Infinite update loop reports are passed as the 4th argument,
+   * also in production.
    */
   warnHandler: null,
 
+  /**
+   * Max number of times a watcher may re-run within a single flush
+   * before it is reported as an infinite update loop.
+   */
+  maxUpdateCount: 100,
+
+  /**
+   * How to recover when the server-rendered DOM does not match the client
+   * vnode tree: 'patch' the node in place, 'rerender' the subtree or 'throw'.
+   */
+  hydrationMismatch: 'rerender',
+
+  /**
+   * Called with a structured report for each hydration mismatch, also in
+   * production. May return the recovery to use for that mismatch.
+   */
+  hydrationMismatchHandler: null,
+
   /**
    * Ignore certain custom elements
    */
@@ -80,6 +104,13 @@ export default ({
   // $flow-disable-line
   keyCodes: Object.create(null),
 
+  /**
+   * How data objects are observed. 'proxy' uses ES2015 Proxy so that
+   * property addition/deletion is tracked without Vue.set/Vue.delete.
+   * Falls back to 'defineProperty' when Proxy is not supported.
+   */
+  reactivityMode: 'defineProperty',
+
   /**
    * Check if a tag is reserved so that it cannot be registered as a
    * component. This is platform-dependent and may be overwritten.
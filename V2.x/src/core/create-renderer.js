@@ -0,0 +1,91 @@
+/* @flow */
+
+import { createVueClass } from './instance/index'
+import { initGlobalAPI } from './global-api/index'
+import { mountComponent } from './instance/lifecycle'
+import { createPatchFunction } from './vdom/patch'
+import baseModules from './vdom/modules/index'
+import { isServerRendering } from 'core/util/env'
+import { FunctionalRenderContext } from 'core/vdom/create-functional-component'
+import { no, noop, identity } from 'shared/util'
+
+import type { HydrationOps } from './vdom/helpers/hydration-mismatch'
+
+export type RendererOptions = {
+  nodeOps: Object;
+  modules?: Array<Object>;
+  hydration?: HydrationOps;
+  mustUseProp?: (tag: string, type: ?string, name: string) => boolean;
+  isReservedTag?: (tag: string) => ?boolean;
+  isReservedAttr?: (attr: string) => ?boolean;
+  getTagNamespace?: (tag: string) => ?string;
+  isUnknownElement?: (tag: string) => boolean;
+  parsePlatformTagName?: (tag: string) => string;
+};
+
+/**
+ * Create a Vue constructor with the global API installed.
+ */
+export function createVue (): GlobalAPI {
+  const Vue: any = createVueClass()
+
+  initGlobalAPI(Vue)
+
+  Object.defineProperty(Vue.prototype, '$isServer', {
+    get: isServerRendering
+  })
+
+  Object.defineProperty(Vue.prototype, '$ssrContext', {
+    get () {
+      /* istanbul ignore next */
+      return this.$vnode && this.$vnode.ssrContext
+    }
+  })
+
+  // expose FunctionalRenderContext for ssr runtime helper installation
+  Object.defineProperty(Vue, 'FunctionalRenderContext', {
+    value: FunctionalRenderContext
+  })
+
+  Vue.version = '__VERSION__'
+
+  return Vue
+}
+
+/**
+ * Create a complete runtime rendering to the host described by nodeOps.
+ * The runtime is a separate constructor: global components, directives,
+ * mixins and plugins registered on it stay on it, and its platform hooks
+ * do not touch the ones of the global config. Other config fields are
+ * shared with every runtime.
+ */
+export function createRenderer (options: RendererOptions): GlobalAPI {
+  const Vue: any = createVue()
+
+  // plain-object components are extended from the runtime's own
+  // constructor (options._base), so they all see these hooks
+  Vue.options._platform = {
+    mustUseProp: options.mustUseProp || no,
+    isReservedTag: options.isReservedTag || no,
+    isReservedAttr: options.isReservedAttr || no,
+    getTagNamespace: options.getTagNamespace || noop,
+    isUnknownElement: options.isUnknownElement || no,
+    parsePlatformTagName: options.parsePlatformTagName || identity
+  }
+
+  // the directive module should be applied last, after the host modules
+  const modules = (options.modules || []).concat(baseModules)
+  Vue.prototype.__patch__ = createPatchFunction({
+    nodeOps: options.nodeOps,
+    modules,
+    hydration: options.hydration
+  })
+
+  // el is a host node to replace, or nothing to render detached and
+  // insert vm.$el manually
+  Vue.prototype.$mount = function (el?: any, hydrating?: boolean): Component {
+    return mountComponent(this, el, hydrating)
+  }
+
+  return Vue
+}
@@ -17,7 +17,7 @@ export function initAssetRegisters (Vue: GlobalAPI) {
       } else {
         /* istanbul ignore if */
         if (process.env.NODE_ENV !== 'production' && type === 'component') {
-          validateComponentName(id)
+          validateComponentName(id, this.options)
         }
         if (type === 'component' && isPlainObject(definition)) {
           definition.name = definition.name || id
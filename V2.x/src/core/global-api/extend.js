@@ -29,7 +29,7 @@ export function initExtend (Vue: GlobalAPI) {
 
     const name = extendOptions.name || Super.options.name
     if (process.env.NODE_ENV !== 'production' && name) {
-      validateComponentName(name)
+      validateComponentName(name, Super.options)
     }
 
     const Sub = function VueComponent (options) {
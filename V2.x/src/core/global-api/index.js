@@ -6,6 +6,23 @@ import { initMixin } from './mixin'
 import { initExtend } from './extend'
 import { initAssetRegisters } from './assets'
 import { set, del } from '../observer/index'
+import {
+  reactive,
+  isReactive,
+  shallowReactive,
+  readonly,
+  shallowReadonly,
+  isReadonly,
+  ref,
+  isRef,
+  unref,
+  computed,
+  watch,
+  watchEffect,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose
+} from '../reactivity/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
 
@@ -44,6 +61,23 @@ export function initGlobalAPI (Vue: GlobalAPI) {
   Vue.delete = del
   Vue.nextTick = nextTick
 
+  // standalone reactivity API, usable outside of component instances
+  Vue.reactive = reactive
+  Vue.isReactive = isReactive
+  Vue.shallowReactive = shallowReactive
+  Vue.readonly = readonly
+  Vue.shallowReadonly = shallowReadonly
+  Vue.isReadonly = isReadonly
+  Vue.ref = ref
+  Vue.isRef = isRef
+  Vue.unref = unref
+  Vue.computed = computed
+  Vue.watch = watch
+  Vue.watchEffect = watchEffect
+  Vue.effectScope = effectScope
+  Vue.getCurrentScope = getCurrentScope
+  Vue.onScopeDispose = onScopeDispose
+
   Vue.options = Object.create(null)
   ASSET_TYPES.forEach(type => {
     Vue.options[type + 's'] = Object.create(null)
@@ -1,26 +1,8 @@
-import Vue from './instance/index'
-import { initGlobalAPI } from './global-api/index'
-import { isServerRendering } from 'core/util/env'
-import { FunctionalRenderContext } from 'core/vdom/create-functional-component'
+import { createVue, createRenderer } from './create-renderer'
 
-initGlobalAPI(Vue)
+const Vue = createVue()
 
-Object.defineProperty(Vue.prototype, '$isServer', {
-  get: isServerRendering
-})
-
-Object.defineProperty(Vue.prototype, '$ssrContext', {
-  get () {
-    /* istanbul ignore next */
-    return this.$vnode && this.$vnode.ssrContext
-  }
-})
-
-// expose FunctionalRenderContext for ssr runtime helper installation
-Object.defineProperty(Vue, 'FunctionalRenderContext', {
-  value: FunctionalRenderContext
-})
-
-Vue.version = '__VERSION__'
+// build a complete runtime for a host other than the DOM
+Vue.createRenderer = createRenderer
 
 export default Vue
@@ -5,19 +5,22 @@ import { eventsMixin } from './events'
 import { lifecycleMixin } from './lifecycle'
 import { warn } from '../util/index'
 
-function Vue (options) {
-  if (process.env.NODE_ENV !== 'production' &&
-    !(this instanceof Vue)
-  ) {
-    warn('Vue is a constructor and should be called with the `new` keyword')
+// 每个运行时(web、weex以及createRenderer创建的自定义运行时)都有各自的构造函数
+export function createVueClass () {
+  function Vue (options) {
+    if (process.env.NODE_ENV !== 'production' &&
+      !(this instanceof Vue)
+    ) {
+      warn('Vue is a constructor and should be called with the `new` keyword')
+    }
+    this._init(options)
   }
-  this._init(options)
-}
 
-initMixin(Vue)
-stateMixin(Vue)
-eventsMixin(Vue)
-lifecycleMixin(Vue)
-renderMixin(Vue)
+  initMixin(Vue)
+  stateMixin(Vue)
+  eventsMixin(Vue)
+  lifecycleMixin(Vue)
+  renderMixin(Vue)
 
-export default Vue
+  return Vue
+}
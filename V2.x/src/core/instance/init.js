@@ -8,6 +8,7 @@ import { initEvents } from './events'
 import { mark, measure } from '../util/perf'
 import { initLifecycle, callHook } from './lifecycle'
 import { initProvide, initInjections } from './inject'
+import { EffectScope } from '../observer/effect-scope'
 import { extend, mergeOptions, formatComponentName } from '../util/index'
 
 let uid = 0
@@ -49,15 +50,21 @@ export function initMixin (Vue: Class<Component>) {
     }
     // expose real self
     vm._self = vm
+    // 组件自身的独立作用域，初始化期间创建的观察者(包括在生命周期钩子中通过watch()等创建的)
+    // 都会收集到这里，组件销毁时统一停止
+    vm._scope = new EffectScope(true /* detached */)
+    vm._scope._vm = true
     initLifecycle(vm)
     initEvents(vm)
     initRender(vm)
-    callHook(vm, 'beforeCreate')
-    initInjections(vm) // resolve injections before data/props
-    // 开始注入data/props响应式
-    initState(vm)
-    initProvide(vm) // resolve provide after data/props
-    callHook(vm, 'created')
+    vm._scope.run(() => {
+      callHook(vm, 'beforeCreate')
+      initInjections(vm) // resolve injections before data/props
+      // 开始注入data/props响应式
+      initState(vm)
+      initProvide(vm) // resolve provide after data/props
+      callHook(vm, 'created')
+    })
 
     /* istanbul ignore if */
     if (process.env.NODE_ENV !== 'production' && config.performance && mark) {
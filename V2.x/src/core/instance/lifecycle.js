@@ -36,6 +36,13 @@ export function initLifecycle (vm: Component) {
   vm.$parent = parent
   vm.$root = parent ? parent.$root : vm
 
+  // the closest <suspense> boundary, found through the real parent
+  // since the boundary itself is abstract
+  const realParent = options.parent
+  vm._suspense = realParent
+    ? (realParent._isSuspense ? realParent : realParent._suspense)
+    : null
+
   vm.$children = []
   vm.$refs = {}
 
@@ -57,6 +64,7 @@ export function lifecycleMixin (Vue: Class<Component>) {
     vm._vnode = vnode
     // Vue.prototype.__patch__ is injected in entry points
     // based on the rendering backend used.
+    // when the root vnode is a fragment, $el is its start anchor
     // 会调用patch函数，在src/core/vdom/patch.js
     if (!prevVnode) {
       // initial render
@@ -108,6 +116,8 @@ export function lifecycleMixin (Vue: Class<Component>) {
     while (i--) {
       vm._watchers[i].teardown()
     }
+    // stop the instance's own scope, which also runs onScopeDispose callbacks
+    vm._scope.stop()
     // remove reference from data ob
     // frozen object may not have observer.
     if (vm._data.__ob__) {
@@ -204,13 +214,24 @@ export function mountComponent (
   // updateComponent函数的执行会间接触发渲染函数(vm.$options.render)的执行
   // 渲染函数的执行则会触发数据属性的get拦截器函数，从而将依赖(观察者)收集
   // 当数据变化时将重新执行updateComponent函数，这就完成了重新渲染
-  new Watcher(vm, updateComponent, noop, {
+  const watcherOptions: Object = {
     before () {
       if (vm._isMounted) {
         callHook(vm, 'beforeUpdate')
       }
     }
-  }, true /* isRenderWatcher */)
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    // 开发环境下通过renderTracked/renderTriggered钩子报告渲染函数观察者收集和触发的依赖
+    // 没有对应的钩子(包括hook:事件)时不设置，避免每次收集和触发依赖都调用callHook
+    if (vm.$options.renderTracked || vm._hasHookEvent) {
+      watcherOptions.onTrack = e => callHook(vm, 'renderTracked', [e])
+    }
+    if (vm.$options.renderTriggered || vm._hasHookEvent) {
+      watcherOptions.onTrigger = e => callHook(vm, 'renderTriggered', [e])
+    }
+  }
+  new Watcher(vm, updateComponent, noop, watcherOptions, true /* isRenderWatcher */)
   hydrating = false
 
   // manually mounted instance, call mounted on self
@@ -331,21 +352,31 @@ export function deactivateChildComponent (vm: Component, direct?: boolean) {
   }
 }
 
-export function callHook (vm: Component, hook: string) {
+export function callHook (vm: Component, hook: string, args?: Array<any>) {
   // #7573 disable dep collection when invoking lifecycle hooks
   pushTarget()
-  const handlers = vm.$options[hook]
-  if (handlers) {
-    for (let i = 0, j = handlers.length; i < j; i++) {
-      try {
-        handlers[i].call(vm)
-      } catch (e) {
-        handleError(e, vm, `${hook} hook`)
+  const invoke = () => {
+    const handlers = vm.$options[hook]
+    if (handlers) {
+      for (let i = 0, j = handlers.length; i < j; i++) {
+        try {
+          args ? handlers[i].apply(vm, args) : handlers[i].call(vm)
+        } catch (e) {
+          handleError(e, vm, `${hook} hook`)
+        }
       }
     }
+    if (vm._hasHookEvent) {
+      vm.$emit('hook:' + hook)
+    }
   }
-  if (vm._hasHookEvent) {
-    vm.$emit('hook:' + hook)
+  // 钩子中通过watch()、computed()等创建的观察者同样属于组件的作用域，
+  // 不论处于生命周期的哪个阶段；作用域停止之后(destroyed)直接调用
+  const scope = vm._scope
+  if (scope && scope.active) {
+    scope.run(invoke)
+  } else {
+    invoke()
   }
   popTarget()
 }
@@ -1,7 +1,7 @@
 /* not type checking this file because flow doesn't play well with Proxy */
 
 import config from 'core/config'
-import { warn, makeMap, isNative } from '../util/index'
+import { warn, makeMap, hasProxy } from '../util/index'
 
 let initProxy
 
@@ -24,9 +24,6 @@ if (process.env.NODE_ENV !== 'production') {
     )
   }
 
-  const hasProxy =
-    typeof Proxy !== 'undefined' && isNative(Proxy)
-
   if (hasProxy) {
     const isBuiltInModifier = makeMap('stop,prevent,self,ctrl,shift,alt,meta,exact')
     config.keyCodes = new Proxy(config.keyCodes, {
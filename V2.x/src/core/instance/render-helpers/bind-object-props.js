@@ -1,12 +1,11 @@
 /* @flow */
 
-import config from 'core/config'
-
 import {
   warn,
   isObject,
   toObject,
-  isReservedAttribute
+  isReservedAttribute,
+  resolvePlatformConfig
 } from 'core/util/index'
 
 /**
@@ -39,7 +38,7 @@ export function bindObjectProps (
           hash = data
         } else {
           const type = data.attrs && data.attrs.type
-          hash = asProp || config.mustUseProp(tag, type, key)
+          hash = asProp || resolvePlatformConfig(this).mustUseProp(tag, type, key)
             ? data.domProps || (data.domProps = {})
             : data.attrs || (data.attrs = {})
         }
@@ -0,0 +1,43 @@
+/* @flow */
+
+import VNode from 'core/vdom/vnode'
+
+// 正在渲染的块，渲染块的子树时动态的后代节点被收集到栈顶的数组中
+const blockStack: Array<Array<VNode>> = []
+
+/**
+ * Runtime helper for opening a block before its root is rendered.
+ */
+export function openBlock () {
+  blockStack.push([])
+}
+
+/**
+ * Runtime helper for closing a block: the root receives the flat list
+ * of dynamic descendants tracked since the matching openBlock.
+ */
+export function closeBlock (vnode: VNode): VNode {
+  const dynamicChildren = blockStack.pop()
+  if (vnode instanceof VNode) {
+    vnode.dynamicChildren = dynamicChildren
+  }
+  return vnode
+}
+
+/**
+ * Runtime helper for tracking a dynamic node in the current block.
+ */
+export function trackDynamic (vnode: VNode): VNode {
+  const block = blockStack[blockStack.length - 1]
+  if (block) {
+    block.push(vnode)
+  }
+  return vnode
+}
+
+/**
+ * Drop the blocks left open by a render that threw.
+ */
+export function resetBlockTracking () {
+  blockStack.length = 0
+}
@@ -11,7 +11,9 @@ import {
 import { createElement } from '../vdom/create-element'
 import { installRenderHelpers } from './render-helpers/index'
 import { resolveSlots } from './render-helpers/resolve-slots'
-import VNode, { createEmptyVNode } from '../vdom/vnode'
+import { resetBlockTracking } from './render-helpers/render-block'
+import { normalizeChildren } from '../vdom/helpers/normalize-children'
+import VNode, { createEmptyVNode, createFragmentVNode } from '../vdom/vnode'
 
 import { isUpdatingChildComponent } from './lifecycle'
 
@@ -80,8 +82,12 @@ export function renderMixin (Vue: Class<Component>) {
     // render self
     let vnode
     try {
-      vnode = render.call(vm._renderProxy, vm.$createElement)
+      // nothing is rendered while the async data is pending
+      vnode = vm._asyncData
+        ? createEmptyVNode()
+        : render.call(vm._renderProxy, vm.$createElement)
     } catch (e) {
+      resetBlockTracking()
       handleError(e, vm, `render`)
       // return error render result,
       // or previous vnode to prevent render error causing blank component
@@ -101,15 +107,12 @@ export function renderMixin (Vue: Class<Component>) {
         vnode = vm._vnode
       }
     }
+    // multiple root nodes are wrapped in a fragment
+    if (Array.isArray(vnode)) {
+      vnode = createFragmentVNode(normalizeChildren(vnode) || [])
+    }
     // return empty vnode in case the render function errored out
     if (!(vnode instanceof VNode)) {
-      if (process.env.NODE_ENV !== 'production' && Array.isArray(vnode)) {
-        warn(
-          'Multiple root nodes returned from render function. Render function ' +
-          'should return a single root node.',
-          vm
-        )
-      }
       vnode = createEmptyVNode()
     }
     // set parent
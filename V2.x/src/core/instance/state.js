@@ -1,9 +1,9 @@
 /* @flow */
 
-import config from '../config'
 import Watcher from '../observer/watcher'
 import { pushTarget, popTarget } from '../observer/dep'
 import { isUpdatingChildComponent } from './lifecycle'
+import { registerSuspenseDep } from '../components/suspense'
 
 import {
   set,
@@ -25,7 +25,8 @@ import {
   validateProp,
   isPlainObject,
   isServerRendering,
-  isReservedAttribute
+  isReservedAttribute,
+  resolvePlatformConfig
 } from '../util/index'
 
 const sharedPropertyDefinition = {
@@ -54,7 +55,10 @@ export function initState (vm: Component) {
   if (opts.data) {
     initData(vm)
   } else {
-    observe(vm._data = {}, true /* asRootData */)
+    const ob = observe(vm._data = {}, true /* asRootData */)
+    if (ob && ob.proxy) {
+      vm._data = ob.proxy
+    }
   }
   if (opts.computed) initComputed(vm, opts.computed)
   if (opts.watch && opts.watch !== nativeWatch) {
@@ -86,7 +90,7 @@ function initProps (vm: Component, propsOptions: Object) {
     if (process.env.NODE_ENV !== 'production') {
       const hyphenatedKey = hyphenate(key)
       if (isReservedAttribute(hyphenatedKey) ||
-          config.isReservedAttr(hyphenatedKey)) {
+          resolvePlatformConfig(vm).isReservedAttr(hyphenatedKey)) {
         warn(
           `"${hyphenatedKey}" is a reserved attribute and cannot be used as component prop.`,
           vm
@@ -130,6 +134,16 @@ function initData (vm: Component) {
   data = vm._data = typeof data === 'function'
     ? getData(data, vm)
     : data || {}
+  // data() may return a promise, the component renders nothing until it
+  // resolves and delays the closest <suspense> boundary meanwhile
+  if (data && typeof data.then === 'function') {
+    initAsyncData(vm, data)
+    data = vm._data = {}
+  }
+  initDataObject(vm, data)
+}
+
+function initDataObject (vm: Component, data: any) {
   if (!isPlainObject(data)) {
     data = {}
     process.env.NODE_ENV !== 'production' && warn(
@@ -165,7 +179,34 @@ function initData (vm: Component) {
   }
   // observe data
   // data数据对象转换成响应式，真正响应系统的开始
-  observe(data, true /* asRootData */)
+  const ob = observe(data, true /* asRootData */)
+  // proxy模式下，实例上代理的数据属性需要通过响应式代理对象读写
+  if (ob && ob.proxy) {
+    vm._data = ob.proxy
+  }
+}
+
+function initAsyncData (vm: Component, promise: Object) {
+  vm._asyncData = promise
+  const settle = vm._suspense ? registerSuspenseDep(vm._suspense) : noop
+  promise.then(res => {
+    if (vm._isDestroyed) return
+    vm._asyncData = null
+    vm._data = res
+    initDataObject(vm, res)
+    // 数据就绪后重新求值所有观察者(包括渲染函数观察者)，让它们收集到新数据的依赖
+    let i = vm._watchers.length
+    while (i--) {
+      vm._watchers[i].update()
+    }
+    settle()
+  }, e => {
+    // the server renderer reports the error itself
+    if (!isServerRendering()) {
+      handleError(e, vm, `data()`)
+    }
+    settle()
+  })
 }
 
 export function getData (data: Function, vm: Component): any {
@@ -209,7 +250,9 @@ function initComputed (vm: Component, computed: Object) {
         vm,
         getter || noop,
         noop,
-        computedWatcherOptions
+        process.env.NODE_ENV !== 'production' && typeof userDef !== 'function'
+          ? { computed: true, onTrack: userDef.onTrack, onTrigger: userDef.onTrigger }
+          : computedWatcherOptions
       )
     }
 
@@ -317,7 +360,7 @@ function initWatch (vm: Component, watch: Object) {
 
 function createWatcher (
   vm: Component,
-  expOrFn: string | Function,
+  expOrFn: string | Function | Array<any>,
   handler: any,
   options?: Object
 ) {
@@ -357,8 +400,9 @@ export function stateMixin (Vue: Class<Component>) {
   Vue.prototype.$set = set
   Vue.prototype.$delete = del
 
+  // expOrFn也可以是由路径、函数或ref组成的数组，此时回调接收的新值与旧值都是数组
   Vue.prototype.$watch = function (
-    expOrFn: string | Function,
+    expOrFn: string | Function | Array<any>,
     cb: any,
     options?: Object
   ): Function {
@@ -371,8 +415,9 @@ export function stateMixin (Vue: Class<Component>) {
     const watcher = new Watcher(vm, expOrFn, cb, options)
     // immediate选项用来在属性或函数被侦听后立即执行回调
     // 不过此时回调函数的参数只有新值没有旧值
+    // 第三个参数onCleanup用来注册清理函数，在下一次执行回调之前或取消侦听时调用
     if (options.immediate) {
-      cb.call(vm, watcher.value)
+      cb.call(vm, watcher.value, undefined, watcher.onCleanup)
     }
     return function unwatchFn () {
       watcher.teardown()
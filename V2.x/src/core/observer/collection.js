@@ -0,0 +1,202 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on Map/Set prototype
+ */
+
+import Dep from './dep'
+import { observe } from './index'
+import { toRaw } from './proxy'
+import { def, isObject, toRawType } from '../util/index'
+
+/**
+ * Check if a value is a Map or Set that can be observed.
+ */
+export function isCollection (value) {
+  const type = toRawType(value)
+  return type === 'Map' || type === 'Set'
+}
+
+// Map/Set的数据都保存在内部槽中，无法像对象那样通过属性拦截，
+// 所以与数组一样，通过改写实例原型上的方法来收集依赖和触发更新
+export const mapMethods = typeof Map !== 'undefined'
+  ? createCollectionMethods(Map.prototype, true)
+  : null
+
+export const setMethods = typeof Set !== 'undefined'
+  ? createCollectionMethods(Set.prototype, false)
+  : null
+
+/**
+ * Observe a value read out of a collection, so nested objects
+ * are reactive as well.
+ */
+function toObserved (value, parentOb) {
+  if (isObject(value) && !parentOb.shallow) {
+    const ob = observe(value)
+    if (ob) {
+      if (Dep.target) {
+        ob.dep.depend()
+      }
+      return ob.proxy || value
+    }
+  }
+  return value
+}
+
+function track (ob, key, type) {
+  if (!Dep.target) return
+  const deps = ob.keyDeps
+  let dep = deps.get(key)
+  if (!dep) {
+    deps.set(key, (dep = new Dep()))
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    dep.depend({ target: ob.value, type, key })
+  } else {
+    dep.depend()
+  }
+}
+
+// size and iteration depend on the collection as a whole
+function trackIterate (ob) {
+  if (!Dep.target) return
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.depend({ target: ob.value, type: 'iterate' })
+  } else {
+    ob.dep.depend()
+  }
+}
+
+function trigger (ob, key, type, newValue, oldValue) {
+  const info = process.env.NODE_ENV !== 'production'
+    ? { target: ob.value, type, key, newValue, oldValue }
+    : undefined
+  const dep = ob.keyDeps.get(key)
+  if (dep) {
+    dep.notify(info)
+  }
+  ob.dep.notify(info)
+}
+
+function createCollectionMethods (proto, isMap) {
+  const methods = Object.create(proto)
+  const originalSize = Object.getOwnPropertyDescriptor(proto, 'size').get
+
+  // 无论是原始集合还是proxy模式下的代理，都在原始集合上调用原生方法
+  def(methods, 'has', function has (key) {
+    const target = toRaw(this)
+    key = toRaw(key)
+    track(target.__ob__, key, 'has')
+    return proto.has.call(target, key)
+  })
+
+  def(methods, 'delete', function del (key) {
+    const target = toRaw(this)
+    key = toRaw(key)
+    const oldValue = isMap ? proto.get.call(target, key) : undefined
+    const result = proto.delete.call(target, key)
+    if (result) {
+      trigger(target.__ob__, key, 'delete', undefined, oldValue)
+    }
+    return result
+  })
+
+  def(methods, 'clear', function clear () {
+    const target = toRaw(this)
+    const ob = target.__ob__
+    const hadItems = originalSize.call(target) !== 0
+    const result = proto.clear.call(target)
+    if (hadItems) {
+      const info = process.env.NODE_ENV !== 'production'
+        ? { target, type: 'clear' }
+        : undefined
+      ob.keyDeps.forEach(dep => dep.notify(info))
+      ob.dep.notify(info)
+    }
+    return result
+  })
+
+  if (isMap) {
+    def(methods, 'get', function get (key) {
+      const target = toRaw(this)
+      key = toRaw(key)
+      track(target.__ob__, key, 'get')
+      return toObserved(proto.get.call(target, key), target.__ob__)
+    })
+
+    def(methods, 'set', function set (key, value) {
+      const target = toRaw(this)
+      key = toRaw(key)
+      value = toRaw(value)
+      const hadKey = proto.has.call(target, key)
+      const oldValue = proto.get.call(target, key)
+      proto.set.call(target, key, value)
+      /* eslint-disable no-self-compare */
+      if (!hadKey) {
+        trigger(target.__ob__, key, 'add', value)
+      } else if (value !== oldValue && (value === value || oldValue === oldValue)) {
+        trigger(target.__ob__, key, 'set', value, oldValue)
+      }
+      /* eslint-enable no-self-compare */
+      return this
+    })
+  } else {
+    def(methods, 'add', function add (value) {
+      const target = toRaw(this)
+      value = toRaw(value)
+      if (!proto.has.call(target, value)) {
+        proto.add.call(target, value)
+        trigger(target.__ob__, value, 'add', value)
+      }
+      return this
+    })
+  }
+
+  def(methods, 'forEach', function forEach (callback, thisArg) {
+    const observed = this
+    const target = toRaw(this)
+    const ob = target.__ob__
+    trackIterate(ob)
+    return proto.forEach.call(target, (value, key) => {
+      callback.call(thisArg, toObserved(value, ob), toObserved(key, ob), observed)
+    })
+  })
+
+  ;['keys', 'values', 'entries', Symbol.iterator].forEach(method => {
+    // Map迭代器默认返回[key, value]，Set的entries同样返回[value, value]
+    const isPair = method === 'entries' || (method === Symbol.iterator && isMap)
+    def(methods, method, function () {
+      const target = toRaw(this)
+      const ob = target.__ob__
+      trackIterate(ob)
+      const inner = proto[method].call(target)
+      return {
+        next () {
+          const { value, done } = inner.next()
+          return done
+            ? { value, done }
+            : {
+              value: isPair
+                ? [toObserved(value[0], ob), toObserved(value[1], ob)]
+                : toObserved(value, ob),
+              done
+            }
+        },
+        [Symbol.iterator] () {
+          return this
+        }
+      }
+    })
+  })
+
+  Object.defineProperty(methods, 'size', {
+    get () {
+      const target = toRaw(this)
+      trackIterate(target.__ob__)
+      return originalSize.call(target)
+    },
+    configurable: true
+  })
+
+  return methods
+}
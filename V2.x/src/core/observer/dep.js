@@ -1,10 +1,24 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { remove, extend } from '../util/index'
 
 let uid = 0
 
+/**
+ * Extra info passed to depend()/notify() in development, and reported
+ * to the onTrack/onTrigger debug hooks of watchers.
+ * type is one of 'get' | 'has' | 'iterate' for tracking, and
+ * 'set' | 'add' | 'delete' | 'clear' | 'array mutation' for triggering.
+ */
+export type DebuggerEventExtraInfo = {
+  target: any;
+  type: string;
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+};
+
 /**
  * A dep is an observable that can have multiple
  * directives subscribing to it.
@@ -27,17 +41,20 @@ export default class Dep {
     remove(this.subs, sub)
   }
 
-  depend () {
+  depend (info?: DebuggerEventExtraInfo) {
     if (Dep.target) {
-      Dep.target.addDep(this)
+      Dep.target.addDep(this, info)
     }
   }
 
-  notify () {
+  notify (info?: DebuggerEventExtraInfo) {
     // stabilize the subscriber list first
     const subs = this.subs.slice()
     for (let i = 0, l = subs.length; i < l; i++) {
-      subs[i].update()
+      if (process.env.NODE_ENV !== 'production' && info && subs[i].onTrigger) {
+        subs[i].onTrigger(extend({ effect: subs[i] }, info))
+      }
+      subs[i].update(this, info)
     }
   }
 }
@@ -0,0 +1,124 @@
+/* @flow */
+
+import type Watcher from './watcher'
+import { warn, remove } from '../util/index'
+
+// the scope that newly created watchers are collected into.
+// like Dep.target, only one scope can be active at any time.
+export let activeEffectScope: ?EffectScope
+
+/**
+ * An effect scope collects the watchers (including computed ones)
+ * created while it is active, so they can be stopped together.
+ * Each component instance owns a detached scope, which is stopped
+ * when the instance is destroyed.
+ */
+export class EffectScope {
+  active: boolean;
+  detached: boolean;
+  effects: Array<Watcher>;
+  cleanups: Array<Function>;
+  parent: ?EffectScope;
+  scopes: Array<EffectScope>;
+  _vm: ?boolean; // whether this is a component instance's own scope
+
+  constructor (detached?: boolean) {
+    this.active = true
+    this.detached = !!detached
+    this.effects = []
+    this.cleanups = []
+    this.scopes = []
+    // 非独立的作用域会被收集到当前激活的父作用域中，父作用域停止时一并停止
+    this.parent = detached ? null : activeEffectScope
+    if (this.parent) {
+      this.parent.scopes.push(this)
+    }
+  }
+
+  /**
+   * Run a function with this scope active and return its result.
+   */
+  run<T> (fn: () => T): T | void {
+    if (this.active) {
+      const prevScope = activeEffectScope
+      activeEffectScope = this
+      try {
+        return fn()
+      } finally {
+        activeEffectScope = prevScope
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn('Cannot run an inactive effect scope.')
+    }
+  }
+
+  /**
+   * Stop every watcher, nested scope and cleanup callback
+   * collected by this scope.
+   */
+  stop (fromParent?: boolean) {
+    if (this.active) {
+      let i, l
+      // 观察者销毁时会把自己从所属作用域中移除，先换成新数组以免遍历时被修改
+      const effects = this.effects
+      this.effects = []
+      for (i = 0, l = effects.length; i < l; i++) {
+        effects[i].teardown()
+      }
+      for (i = 0, l = this.cleanups.length; i < l; i++) {
+        this.cleanups[i]()
+      }
+      for (i = 0, l = this.scopes.length; i < l; i++) {
+        this.scopes[i].stop(true)
+      }
+      // 由父作用域触发的停止不需要从父作用域中移除自身，父作用域会整体丢弃
+      if (this.parent && !fromParent) {
+        remove(this.parent.scopes, this)
+      }
+      this.effects.length = this.cleanups.length = this.scopes.length = 0
+      this.parent = null
+      this.active = false
+    }
+  }
+}
+
+/**
+ * Create an effect scope. A detached scope is not collected
+ * by the currently active scope.
+ */
+export function effectScope (detached?: boolean): EffectScope {
+  return new EffectScope(detached)
+}
+
+/**
+ * Record a watcher in the active scope. Component watchers created
+ * outside of a user-created scope belong to their instance's scope.
+ * The watcher removes itself from the scope when it is torn down.
+ */
+export function recordEffectScope (effect: Watcher, vm: ?Component) {
+  const scope = activeEffectScope && !activeEffectScope._vm
+    ? activeEffectScope
+    : vm ? vm._scope : activeEffectScope
+  if (scope && scope.active) {
+    scope.effects.push(effect)
+    effect.scope = scope
+  }
+}
+
+export function getCurrentScope (): ?EffectScope {
+  return activeEffectScope
+}
+
+/**
+ * Register a callback to be called when the active scope is stopped.
+ */
+export function onScopeDispose (fn: Function) {
+  if (activeEffectScope) {
+    activeEffectScope.cleanups.push(fn)
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      'onScopeDispose() is called when there is no active effect scope ' +
+      'to be associated with.'
+    )
+  }
+}
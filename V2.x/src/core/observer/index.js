@@ -1,13 +1,18 @@
 /* @flow */
 
 import Dep from './dep'
+import config from '../config'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import { mutableHandlers } from './proxy'
+import { isReadonly } from './readonly'
+import { isCollection, mapMethods, setMethods } from './collection'
 import {
   def,
   warn,
   hasOwn,
   hasProto,
+  hasProxy,
   isObject,
   isPlainObject,
   isPrimitive,
@@ -18,6 +23,9 @@ import {
 
 const arrayKeys = Object.getOwnPropertyNames(arrayMethods)
 
+// passed to defineReactive to read the initial value from the object itself
+const NO_INITIAL_VALUE = {}
+
 /**
  * In some cases we may want to disable observation inside a component's
  * update computation.
@@ -33,16 +41,22 @@ export function toggleObserving (value: boolean) {
  * object. Once attached, the observer converts the target
  * object's property keys into getter/setters that
  * collect dependencies and dispatch updates.
+ * In proxy mode the target is left untouched and all access
+ * goes through the observer's proxy instead.
  */
 export class Observer {
   value: any;
   dep: Dep;
   vmCount: number; // number of vms that has this object as root $data
+  proxy: ?Object; // reactive proxy of value, only in proxy mode
+  keyDeps: ?Object; // per-key deps, in proxy mode and for Map/Set
+  shallow: boolean; // only the root level of value is reactive
 
-  constructor (value: any) {
+  constructor (value: any, shallow?: boolean) {
     this.value = value
     this.dep = new Dep()
     this.vmCount = 0
+    this.shallow = !!shallow
     // 使用def函数，为数据对象定义一个__ob__属性，属性值为当前Observer实例对象
     // def函数其实就是Object.defineProperty函数的简单封装
     // 之所以这里使用def函数定义__ob__属性是因为这样可以定义不可枚举的属性，这样后面遍历数据对象的时候就能够防止遍历到__ob__属性
@@ -61,12 +75,24 @@ export class Observer {
     //   }
     // }
     def(value, '__ob__', this)
-    if (Array.isArray(value)) {
+    if (isCollection(value)) {
+      // Map/Set在两种模式下都通过拦截原型方法实现响应式，不需要代理对象
+      // 集合类型出现的环境必然支持__proto__，所以直接使用protoAugment
+      this.keyDeps = new Map()
+      protoAugment(value, value instanceof Map ? mapMethods : setMethods)
+    } else if (config.reactivityMode === 'proxy' && hasProxy) {
+      // Proxy能够拦截属性的新增、删除、in操作符以及Object.keys遍历
+      // 所以不需要walk转换属性，也不需要拦截数组的变异方法，嵌套对象在被访问时才会观测
+      this.keyDeps = Object.create(null)
+      this.proxy = new Proxy(value, mutableHandlers)
+    } else if (Array.isArray(value)) {
       const augment = hasProto
         ? protoAugment
         : copyAugment
       augment(value, arrayMethods, arrayKeys)
-      this.observeArray(value)
+      if (!shallow) {
+        this.observeArray(value)
+      }
     } else {
       this.walk(value)
     }
@@ -80,7 +106,7 @@ export class Observer {
   walk (obj: Object) {
     const keys = Object.keys(obj)
     for (let i = 0; i < keys.length; i++) {
-      defineReactive(obj, keys[i])
+      defineReactive(obj, keys[i], NO_INITIAL_VALUE, undefined, this.shallow)
     }
   }
 
@@ -123,9 +149,14 @@ function copyAugment (target: Object, src: Object, keys: Array<string>) {
  * returns the new observer if successfully observed,
  * or the existing observer if the value already has one.
  * asRootData代表将要被观测的数据是否是根级数据
+ * shallow代表只观测数据对象的第一层属性
  * obserse使用的是观察者模式
  */
-export function observe (value: any, asRootData: ?boolean): Observer | void {
+export function observe (
+  value: any,
+  asRootData: ?boolean,
+  shallow?: boolean
+): Observer | void {
   // 用来判断如果要观测的数据不是一个对象或者是VNode实例，则直接return
   if (!isObject(value) || value instanceof VNode) {
     return
@@ -135,23 +166,26 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   // 能看到享元模式的影子
   if (hasOwn(value, '__ob__') && value.__ob__ instanceof Observer) {
     ob = value.__ob__
+  } else if (isReadonly(value)) {
+    // 只读代理会拒绝__ob__等属性的定义，它的读取直接转发到原始对象，无需再观测
+    return
   } else if (
     shouldObserve &&
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (Array.isArray(value) || isPlainObject(value) || isCollection(value)) &&
     Object.isExtensible(value) &&
     !value._isVue
   ) {
     // 需要满足的条件
     // 1. shouldObserve为true，代表开关，在一些场景下需要这个开关从而达到一些目的
     // 2. !isServerRendering() 判断是否是服务端渲染。只有不是服务端渲染的时候才会观测数据
-    // 3. (Array.isArray(value) || isPlainObject(value)) 只有当数据对象是数组或纯对象时，才有必要对其进行观测
+    // 3. (Array.isArray(value) || isPlainObject(value) || isCollection(value)) 只有当数据对象是数组、纯对象或Map/Set时，才有必要对其进行观测
     // 4. Object.isExtensible(value) 被观测的数据对象必须是可扩展的。一个普通对象默认是可扩展的，可以将对象变得不可扩展通过以下三种方式：
     //    a. Object.preventExtensions()
     //    b. Object.freeze()
     //    c. Object.seal()
     // 5. !value._isVue 为true，Vue实例对象拥有_isVue属性，该条件用来避免Vue实例对象被观测
-    ob = new Observer(value)
+    ob = new Observer(value, shallow)
   }
   if (asRootData && ob) {
     ob.vmCount++
@@ -170,6 +204,11 @@ export function defineReactive (
   customSetter?: ?Function,
   shallow?: boolean
 ) {
+  // 只读代理上的属性无法被重新定义
+  if (isReadonly(obj)) {
+    return
+  }
+
   // 每一个数据字段都通过闭包引用着属于自己的dep常量
   const dep = new Dep()
 
@@ -187,9 +226,13 @@ export function defineReactive (
   const getter = property && property.get
   const setter = property && property.set
   // 当属性原本存在get拦截器函数时，在初始化的时候不要出发get函数，只有当真正的获取该属性的值的时候，再通过调用缓存下来的属性原本的getter函数取值即可
-  if ((!getter || setter) && arguments.length === 2) {
+  if ((!getter || setter) && (val === NO_INITIAL_VALUE || arguments.length === 2)) {
     val = obj[key]
   }
+  // 只有getter的属性不会读取初始值，不能把共享的占位对象当成属性值去观测
+  if (val === NO_INITIAL_VALUE) {
+    val = undefined
+  }
 
   // 获取到的val本身可能也是一个对象，那么此时应该继续调用observe(val)函数观测该对象从而深度观测数据对象
   let childOb = !shallow && observe(val)
@@ -203,7 +246,11 @@ export function defineReactive (
       // 第二件事，收集依赖
       // target作用是保存要被收集的依赖(观察者)
       if (Dep.target) {
-        dep.depend()
+        if (process.env.NODE_ENV !== 'production') {
+          dep.depend({ target: obj, type: 'get', key })
+        } else {
+          dep.depend()
+        }
         if (childOb) {
           // 举例
           // const data = {
@@ -236,12 +283,15 @@ export function defineReactive (
           // 实际上触发了data.a.__ob__.dep.notify()
           // 所以__ob__属性及__ob__.dep的主要作用是为了添加、删除属性时有能力触发依赖，而这就是Vue.set或Vue.delete的原理
           childOb.dep.depend()
-          if (Array.isArray(value)) {
+          if (Array.isArray(value) && !childOb.proxy) {
             dependArray(value)
           }
         }
       }
-      return value
+      // in proxy mode hand out the reactive proxy of the child object
+      return childOb && childOb.proxy && childOb.value === value
+        ? childOb.proxy
+        : value
     },
     // set函数主要完成两件事，第一正确地为属性设置新值，第二触发相应的依赖
     set: function reactiveSetter (newVal) {
@@ -261,7 +311,11 @@ export function defineReactive (
         val = newVal
       }
       childOb = !shallow && observe(newVal)
-      dep.notify()
+      if (process.env.NODE_ENV !== 'production') {
+        dep.notify({ target: obj, type: 'set', key, newValue: newVal, oldValue: value })
+      } else {
+        dep.notify()
+      }
     }
   })
 }
@@ -277,6 +331,15 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
   ) {
     warn(`Cannot set reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  if (isReadonly(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Set operation on key "${String(key)}" failed: target is readonly.`
+    )
+    return val
+  }
+  if (isProxiedRaw(target)) {
+    return set((target: any).__ob__.proxy, key, val)
+  }
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.length = Math.max(target.length, key)
     target.splice(key, 1, val)
@@ -298,8 +361,17 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     target[key] = val
     return val
   }
-  defineReactive(ob.value, key, val)
-  ob.dep.notify()
+  if (ob.proxy) {
+    // the proxy's set trap tracks the new key on its own
+    target[key] = val
+    return val
+  }
+  defineReactive(ob.value, key, val, undefined, ob.shallow)
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type: 'add', key, newValue: val })
+  } else {
+    ob.dep.notify()
+  }
   return val
 }
 
@@ -312,6 +384,15 @@ export function del (target: Array<any> | Object, key: any) {
   ) {
     warn(`Cannot delete reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  if (isReadonly(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Delete operation on key "${String(key)}" failed: target is readonly.`
+    )
+    return
+  }
+  if (isProxiedRaw(target)) {
+    return del((target: any).__ob__.proxy, key)
+  }
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.splice(key, 1)
     return
@@ -328,10 +409,23 @@ export function del (target: Array<any> | Object, key: any) {
     return
   }
   delete target[key]
-  if (!ob) {
+  if (!ob || ob.proxy) {
     return
   }
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({ target, type: 'delete', key })
+  } else {
+    ob.dep.notify()
+  }
+}
+
+/**
+ * In proxy mode, mutations made on the raw object bypass the proxy
+ * traps, so Vue.set/Vue.delete must go through the proxy instead.
+ */
+function isProxiedRaw (target: any): boolean {
+  const ob = target.__ob__
+  return !!(ob && ob.proxy && target !== ob.proxy)
 }
 
 /**
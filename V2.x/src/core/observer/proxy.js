@@ -0,0 +1,189 @@
+/* not type checking this file because flow doesn't play well with Proxy */
+
+import Dep, { pushTarget, popTarget } from './dep'
+import { observe } from './index'
+import { ReadonlyFlag, RawFlag } from './readonly'
+import { hasOwn, isObject, isValidArrayIndex } from '../util/index'
+
+// 内置的Symbol（例如Symbol.iterator）只是语言层面的钩子，没必要为它们收集依赖
+const builtInSymbols = typeof Symbol !== 'undefined'
+  ? Object.getOwnPropertyNames(Symbol)
+    .map(key => Symbol[key])
+    .filter(val => typeof val === 'symbol')
+  : []
+
+const arrayInstrumentations = Object.create(null)
+
+// identity-sensitive methods: the proxy hands out reactive proxies for
+// nested objects, so retry the lookup with raw values when it fails.
+;['includes', 'indexOf', 'lastIndexOf'].forEach(method => {
+  const original = Array.prototype[method]
+  arrayInstrumentations[method] = function (...args) {
+    // 先在代理上查找，这样每个索引都会被收集为依赖
+    const res = original.apply(this, args)
+    if (res === -1 || res === false) {
+      return original.apply(toRaw(this), args.map(toRaw))
+    }
+    return res
+  }
+})
+
+// length-altering methods read length internally, which would make the
+// current watcher depend on the very array it is mutating.
+;['push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse'].forEach(method => {
+  const original = Array.prototype[method]
+  arrayInstrumentations[method] = function (...args) {
+    pushTarget()
+    try {
+      return original.apply(this, args)
+    } finally {
+      popTarget()
+    }
+  }
+})
+
+/**
+ * Return the raw object behind a reactive or readonly proxy.
+ */
+export function toRaw (value) {
+  if (!isObject(value)) {
+    return value
+  }
+  if (value[ReadonlyFlag]) {
+    value = value[RawFlag]
+  }
+  return value.__ob__
+    ? value.__ob__.value
+    : value
+}
+
+/**
+ * Get or lazily create the dep of a single key.
+ */
+function getKeyDep (ob, key) {
+  const deps = ob.keyDeps
+  return deps[key] || (deps[key] = new Dep())
+}
+
+/**
+ * Collect the current target as a dependency of a key.
+ * Iteration (ownKeys) is tracked on the observer's own dep, which is
+ * the same dep Vue.set/Vue.delete and array mutators notify.
+ */
+function track (ob, key, type) {
+  if (!Dep.target) return
+  const dep = type === 'iterate' ? ob.dep : getKeyDep(ob, key)
+  if (process.env.NODE_ENV !== 'production') {
+    dep.depend({ target: ob.value, type, key })
+  } else {
+    dep.depend()
+  }
+}
+
+/**
+ * Notify the deps affected by a mutation of a key.
+ */
+function trigger (ob, key, type, newValue, oldValue) {
+  const target = ob.value
+  const deps = ob.keyDeps
+  const isArray = Array.isArray(target)
+  const info = process.env.NODE_ENV !== 'production'
+    ? { target, type, key, newValue, oldValue }
+    : undefined
+  if (deps[key]) {
+    deps[key].notify(info)
+  }
+  if (isArray) {
+    if (type === 'add' && deps.length) {
+      // 通过索引新增元素会隐式地改变length
+      deps.length.notify(info)
+    } else if (key === 'length') {
+      // 缩短length会删除索引大于等于新length的元素
+      for (const k in deps) {
+        if (isValidArrayIndex(k) && Number(k) >= target.length) {
+          deps[k].notify(info)
+        }
+      }
+    }
+  }
+  // 新增/删除属性会影响Object.keys等遍历的结果
+  // 数组的任何变化都要通知ob.dep，与变异方法的行为保持一致
+  if (type === 'add' || type === 'delete' || isArray) {
+    ob.dep.notify(info)
+  }
+}
+
+export const mutableHandlers = {
+  get (target, key, receiver) {
+    if (
+      key === '__ob__' ||
+      key === ReadonlyFlag ||
+      key === RawFlag ||
+      (typeof key === 'symbol' && builtInSymbols.indexOf(key) > -1)
+    ) {
+      return Reflect.get(target, key, receiver)
+    }
+    if (Array.isArray(target) && hasOwn(arrayInstrumentations, key)) {
+      return arrayInstrumentations[key]
+    }
+    const ob = target.__ob__
+    const res = Reflect.get(target, key, receiver)
+    track(ob, key, 'get')
+    if (isObject(res) && !ob.shallow) {
+      // 嵌套对象在第一次被访问时才进行观测，而不是像walk那样一次性深度观测
+      const childOb = observe(res)
+      if (childOb) {
+        if (Dep.target) {
+          childOb.dep.depend()
+        }
+        return childOb.proxy || res
+      }
+    }
+    return res
+  },
+
+  set (target, key, value, receiver) {
+    const ob = target.__ob__
+    const hadKey = Array.isArray(target) && isValidArrayIndex(key)
+      ? Number(key) < target.length
+      : hasOwn(target, key)
+    const oldValue = target[key]
+    const newValue = toRaw(value)
+    const result = Reflect.set(target, key, newValue, receiver)
+    // don't trigger if the proxy is only on the receiver's prototype chain
+    if (!result || receiver !== ob.proxy) {
+      return result
+    }
+    /* eslint-disable no-self-compare */
+    if (!hadKey) {
+      trigger(ob, key, 'add', newValue)
+    } else if (newValue !== oldValue && (newValue === newValue || oldValue === oldValue)) {
+      trigger(ob, key, 'set', newValue, oldValue)
+    }
+    /* eslint-enable no-self-compare */
+    return result
+  },
+
+  deleteProperty (target, key) {
+    const hadKey = hasOwn(target, key)
+    const oldValue = target[key]
+    const result = Reflect.deleteProperty(target, key)
+    if (result && hadKey) {
+      trigger(target.__ob__, key, 'delete', undefined, oldValue)
+    }
+    return result
+  },
+
+  has (target, key) {
+    const result = Reflect.has(target, key)
+    if (key !== '__ob__') {
+      track(target.__ob__, key, 'has')
+    }
+    return result
+  },
+
+  ownKeys (target) {
+    track(target.__ob__, undefined, 'iterate')
+    return Reflect.ownKeys(target)
+  }
+}
@@ -0,0 +1,167 @@
+/* not type checking this file because flow doesn't play well with Proxy */
+
+import { warn, hasOwn, isObject, hasProxy, toRawType, capitalize } from '../util/index'
+
+export const ReadonlyFlag = '__v_isReadonly'
+export const RawFlag = '__v_raw'
+
+// 同一个对象多次调用readonly()应该得到同一个代理对象
+const readonlyCache = typeof WeakMap !== 'undefined' ? new WeakMap() : null
+const shallowReadonlyCache = typeof WeakMap !== 'undefined' ? new WeakMap() : null
+
+const collectionMutators = ['set', 'add', 'delete', 'clear']
+
+function warnReadonly (type, key) {
+  if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `${type} operation ${key !== undefined ? `on key "${String(key)}" ` : ''}` +
+      `failed: target is readonly.`
+    )
+  }
+}
+
+/**
+ * Check if a value is a readonly proxy.
+ */
+export function isReadonly (value) {
+  return !!(isObject(value) && value[ReadonlyFlag])
+}
+
+/**
+ * Create a readonly view of an object. Reads still go through the
+ * target, so a readonly view of reactive state stays reactive, while
+ * every mutation is ignored with a warning in development.
+ * Without Proxy support the target is returned as is.
+ */
+export function createReadonly (target, shallow) {
+  if (!isObject(target) || isReadonly(target)) {
+    return target
+  }
+  if (!hasProxy) {
+    process.env.NODE_ENV !== 'production' && warn(
+      'readonly() requires ES2015 Proxy support, the target is returned as is.'
+    )
+    return target
+  }
+  // 冻结的对象本身就是只读的，并且代理冻结对象会违反Proxy的不变式约束
+  if (Object.isFrozen(target)) {
+    return target
+  }
+  const cache = shallow ? shallowReadonlyCache : readonlyCache
+  let proxy = cache && cache.get(target)
+  if (!proxy) {
+    const type = toRawType(target)
+    proxy = new Proxy(target, type === 'Map' || type === 'Set'
+      ? (shallow ? shallowReadonlyCollectionHandlers : readonlyCollectionHandlers)
+      : (shallow ? shallowReadonlyHandlers : readonlyHandlers)
+    )
+    cache && cache.set(target, proxy)
+  }
+  return proxy
+}
+
+function createGetter (shallow) {
+  return function get (target, key, receiver) {
+    if (key === ReadonlyFlag) {
+      return true
+    }
+    if (key === RawFlag) {
+      return target
+    }
+    const res = Reflect.get(target, key, receiver)
+    if (shallow || !isObject(res) || key === '__ob__') {
+      return res
+    }
+    // non-configurable, non-writable properties must be returned as is
+    const desc = Object.getOwnPropertyDescriptor(target, key)
+    if (desc && !desc.configurable && !desc.writable) {
+      return res
+    }
+    return createReadonly(res, false)
+  }
+}
+
+function createHandlers (shallow) {
+  return {
+    get: createGetter(shallow),
+    // 返回true而不是false，避免严格模式下抛出TypeError，只在开发环境给出警告
+    set (target, key) {
+      warnReadonly('Set', key)
+      return true
+    },
+    deleteProperty (target, key) {
+      warnReadonly('Delete', key)
+      return true
+    },
+    defineProperty (target, key) {
+      warnReadonly('Define property', key)
+      return true
+    }
+  }
+}
+
+const readonlyHandlers = createHandlers(false)
+const shallowReadonlyHandlers = createHandlers(true)
+
+function createCollectionGetter (shallow) {
+  const wrap = value => shallow ? value : createReadonly(value, false)
+  return function get (target, key) {
+    if (key === ReadonlyFlag) {
+      return true
+    }
+    if (key === RawFlag) {
+      return target
+    }
+    // Map/Set的方法与size必须以原始集合为this调用
+    if (key === 'size') {
+      return Reflect.get(target, key, target)
+    }
+    const value = Reflect.get(target, key, target)
+    if (typeof value !== 'function' || hasOwn(Object.prototype, key)) {
+      return value
+    }
+    if (collectionMutators.indexOf(key) > -1) {
+      return function () {
+        warnReadonly(capitalize(key), arguments[0])
+        return key === 'delete' ? false : key === 'clear' ? undefined : this
+      }
+    }
+    if (key === 'get') {
+      return k => wrap(value.call(target, k))
+    }
+    if (key === 'forEach') {
+      return function (callback, thisArg) {
+        const observed = this
+        return value.call(target, (v, k) => {
+          callback.call(thisArg, wrap(v), wrap(k), observed)
+        })
+      }
+    }
+    if (key === 'keys' || key === 'values' || key === 'entries' || key === Symbol.iterator) {
+      const isPair = key === 'entries' || (key === Symbol.iterator && toRawType(target) === 'Map')
+      return function () {
+        const inner = value.call(target)
+        return {
+          next () {
+            const { value, done } = inner.next()
+            return done
+              ? { value, done }
+              : { value: isPair ? [wrap(value[0]), wrap(value[1])] : wrap(value), done }
+          },
+          [Symbol.iterator] () {
+            return this
+          }
+        }
+      }
+    }
+    return value.bind(target)
+  }
+}
+
+const readonlyCollectionHandlers = {
+  get: createCollectionGetter(false)
+}
+
+const shallowReadonlyCollectionHandlers = {
+  get: createCollectionGetter(true)
+}
@@ -1,21 +1,26 @@
 /* @flow */
 
+import type Dep from './dep'
 import type Watcher from './watcher'
+import type { DebuggerEventExtraInfo } from './dep'
 import config from '../config'
 import { callHook, activateChildComponent } from '../instance/lifecycle'
 
 import {
   warn,
+  extend,
   nextTick,
   devtools
 } from '../util/index'
 
-export const MAX_UPDATE_COUNT = 100
+// number of re-queue records kept per watcher for infinite loop reports
+const TRAIL_LENGTH = 10
 
 const queue: Array<Watcher> = []
 const activatedChildren: Array<Component> = []
 let has: { [key: number]: ?true } = {}
 let circular: { [key: number]: number } = {}
+let trails: { [key: number]: Array<Object> } = {}
 let waiting = false
 let flushing = false
 let index = 0
@@ -26,12 +31,24 @@ let index = 0
 function resetSchedulerState () {
   index = queue.length = activatedChildren.length = 0
   has = {}
-  if (process.env.NODE_ENV !== 'production') {
-    circular = {}
-  }
+  circular = {}
+  trails = {}
   waiting = flushing = false
 }
 
+/**
+ * Order watchers by flush timing first, then by id:
+ * 'pre' watchers run before any component re-renders, and 'post'
+ * watchers run after every component in the flush has been patched.
+ */
+function flushRank (watcher: Watcher): number {
+  return watcher.flush === 'pre' ? 0 : watcher.flush === 'post' ? 2 : 1
+}
+
+function sortCompareFn (a: Watcher, b: Watcher): number {
+  return (flushRank(a) - flushRank(b)) || (a.id - b.id)
+}
+
 /**
  * Flush both queues and run the watchers.
  */
@@ -47,33 +64,28 @@ function flushSchedulerQueue () {
   //    user watchers are created before the render watcher)
   // 3. If a component is destroyed during a parent component's watcher run,
   //    its watchers can be skipped.
-  queue.sort((a, b) => a.id - b.id)
+  // 4. 'pre' watchers run before and 'post' watchers after all the others.
+  queue.sort(sortCompareFn)
 
   // do not cache length because more watchers might be pushed
   // as we run existing watchers
   for (index = 0; index < queue.length; index++) {
     watcher = queue[index]
+    id = watcher.id
+    // check and stop circular updates.
+    // 同一轮刷新中观察者只有被再次入队才会再次执行，统计再次执行的次数，
+    // 这样自身触发的循环和多个观察者之间相互触发的循环都能被发现
+    if (circular[id] === undefined) {
+      circular[id] = 0
+    } else if (++circular[id] > config.maxUpdateCount) {
+      reportInfiniteLoop(watcher)
+      break
+    }
     if (watcher.before) {
       watcher.before()
     }
-    id = watcher.id
     has[id] = null
     watcher.run()
-    // in dev build, check and stop circular updates.
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
-      circular[id] = (circular[id] || 0) + 1
-      if (circular[id] > MAX_UPDATE_COUNT) {
-        warn(
-          'You may have an infinite update loop ' + (
-            watcher.user
-              ? `in watcher with expression "${watcher.expression}"`
-              : `in a component render function.`
-          ),
-          watcher.vm
-        )
-        break
-      }
-    }
   }
 
   // keep copies of post queues before resetting state
@@ -98,12 +110,86 @@ function callUpdatedHooks (queue) {
   while (i--) {
     const watcher = queue[i]
     const vm = watcher.vm
-    if (vm._watcher === watcher && vm._isMounted) {
+    if (vm && vm._watcher === watcher && vm._isMounted) {
       callHook(vm, 'updated')
     }
   }
 }
 
+function getComponentName (vm: Component): string {
+  const options = vm.$options
+  return options.name || options._componentTag || (vm.$root === vm ? 'Root' : 'Anonymous')
+}
+
+function describeWatcher (watcher: Watcher): Object {
+  const vm = watcher.vm
+  return {
+    expression: vm && vm._watcher === watcher
+      ? 'render'
+      : watcher.expression || 'anonymous',
+    component: vm ? getComponentName(vm) : null
+  }
+}
+
+/**
+ * Record which watcher and dep re-queued a watcher during the flush.
+ */
+function recordTrigger (watcher: Watcher, dep: ?Dep, info: ?DebuggerEventExtraInfo) {
+  const trail = trails[watcher.id] || (trails[watcher.id] = [])
+  const running = queue[index]
+  const entry: Object = {
+    triggeredBy: running ? describeWatcher(running) : null,
+    depId: dep ? dep.id : null
+  }
+  // target/key/type are only available in development
+  if (info) {
+    entry.target = info.target
+    entry.key = info.key
+    entry.type = info.type
+  }
+  trail.push(entry)
+  if (trail.length > TRAIL_LENGTH) {
+    trail.shift()
+  }
+}
+
+function formatTrail (trail: Array<Object>): string {
+  if (!trail.length) {
+    return ''
+  }
+  return '\n\nRecently re-queued by:\n' + trail.map(entry => {
+    const by = entry.triggeredBy
+      ? `${entry.triggeredBy.expression} of ${entry.triggeredBy.component || 'no component'}`
+      : 'code outside of the flush'
+    const via = entry.type
+      ? `${entry.type} "${String(entry.key)}"`
+      : `dep #${String(entry.depId)}`
+    return `  - ${by} (${via})`
+  }).join('\n')
+}
+
+/**
+ * Report a watcher that exceeded config.maxUpdateCount. The structured
+ * report is passed to config.warnHandler, in production as well.
+ */
+function reportInfiniteLoop (watcher: Watcher) {
+  const report = extend({
+    type: 'infinite-update-loop',
+    limit: config.maxUpdateCount,
+    trail: trails[watcher.id] || []
+  }, describeWatcher(watcher))
+  const msg = 'You may have an infinite update loop ' + (
+    watcher.user
+      ? `in watcher with expression "${report.expression}"`
+      : `in a component render function.`
+  )
+  if (process.env.NODE_ENV !== 'production') {
+    warn(msg + formatTrail(report.trail), watcher.vm, report)
+  } else if (config.warnHandler) {
+    config.warnHandler.call(null, msg, watcher.vm, '', report)
+  }
+}
+
 /**
  * Queue a kept-alive component that was activated during patch.
  * The queue will be processed after the entire tree has been patched.
@@ -127,7 +213,11 @@ function callActivatedHooks (queue) {
  * Jobs with duplicate IDs will be skipped unless it's
  * pushed when the queue is being flushed.
  */
-export function queueWatcher (watcher: Watcher) {
+export function queueWatcher (
+  watcher: Watcher,
+  dep?: Dep,
+  info?: DebuggerEventExtraInfo
+) {
   // 尝试将该观察者放入队列中，并将观察者的id值登记到has对象上作为has对象的属性
   // 同时将该属性值设置为true
   const id = watcher.id
@@ -146,8 +236,13 @@ export function queueWatcher (watcher: Watcher) {
       // 由于计算属性在实现方式上与普通响应式属性有所不同，所以当触发计算属性get拦截器函数时会有观察者入队的行为，需要特殊处理
       // 就会走else分支代码
       // 以下代码的作用是保证观察者的执行顺序
+      // 只在观察者即将达到更新次数上限时记录是谁让它再次入队，避免正常情况下的额外开销
+      if ((circular[id] || 0) >= config.maxUpdateCount - TRAIL_LENGTH) {
+        recordTrigger(watcher, dep, info)
+      }
+      // pre观察者会被插入到当前正在执行的观察者之后，从而在剩余的组件重新渲染之前执行
       let i = queue.length - 1
-      while (i > index && queue[i].id > watcher.id) {
+      while (i > index && sortCompareFn(queue[i], watcher) > 0) {
         i--
       }
       queue.splice(i + 1, 0, watcher)
@@ -3,6 +3,7 @@
 import { _Set as Set, isObject } from '../util/index'
 import type { SimpleSet } from '../util/index'
 import VNode from '../vdom/vnode'
+import { isCollection } from './collection'
 
 const seenObjects = new Set()
 
@@ -37,6 +38,9 @@ function _traverse (val: any, seen: SimpleSet) {
     i = val.length
     // 实际作用是读取子属性的值，这就会触发子属性的get拦截器函数，保证子属性能够收集到观察者
     while (i--) _traverse(val[i], seen)
+  } else if (isCollection(val)) {
+    // Map/Set的数据不在属性上，通过被拦截的forEach读取每一项
+    val.forEach(v => _traverse(v, seen))
   } else {
     keys = Object.keys(val)
     i = keys.length
@@ -2,6 +2,8 @@
 
 import {
   warn,
+  noop,
+  extend,
   remove,
   isObject,
   parsePath,
@@ -11,9 +13,13 @@ import {
 
 import { traverse } from './traverse'
 import { queueWatcher } from './scheduler'
+import { recordEffectScope } from './effect-scope'
+import { RefFlag } from '../reactivity/ref'
 import Dep, { pushTarget, popTarget } from './dep'
 
 import type { SimpleSet } from '../util/index'
+import type { EffectScope } from './effect-scope'
+import type { DebuggerEventExtraInfo } from './dep'
 
 let uid = 0
 
@@ -23,7 +29,7 @@ let uid = 0
  * This is used for both the $watch() api and directives.
  */
 export default class Watcher {
-  vm: Component;
+  vm: ?Component;
   expression: string;
   cb: Function;
   id: number;
@@ -31,6 +37,7 @@ export default class Watcher {
   user: boolean;
   computed: boolean;
   sync: boolean;
+  flush: ?string; // 'pre' | 'post' | 'sync'
   dirty: boolean;
   active: boolean;
   dep: Dep;
@@ -39,39 +46,71 @@ export default class Watcher {
   depIds: SimpleSet;
   newDepIds: SimpleSet;
   before: ?Function;
+  onTrack: ?Function; // dev only
+  onTrigger: ?Function; // dev only
+  onCleanup: ?Function; // passed to user callbacks to register a cleanup
+  cleanup: ?Function;
+  scope: ?EffectScope; // the effect scope this watcher is recorded in
+  multiSource: boolean;
   getter: Function;
   value: any;
 
   /**
-   * vm: 组件实例对象vm
+   * vm: 组件实例对象vm，独立于组件使用的响应式API(reactivity)创建的观察者没有vm
    * expOrFn: 要观察的表达式
    * cb: 当被观察的表达式的值变化时的回调函数
    * options: 一些传递给当前观察者对象的选项
    * isRenderWatcher: 用来标识该观察者实例是否是渲染函数的观察者
    */
   constructor (
-    vm: Component,
-    expOrFn: string | Function,
+    vm: ?Component,
+    expOrFn: string | Function | Array<any>,
     cb: Function,
     options?: ?Object,
     isRenderWatcher?: boolean
   ) {
     this.vm = vm
-    if (isRenderWatcher) {
-      vm._watcher = this
+    if (vm) {
+      if (isRenderWatcher) {
+        vm._watcher = this
+      }
+      vm._watchers.push(this)
     }
-    vm._watchers.push(this)
+    recordEffectScope(this, vm)
     // options
     if (options) {
       this.deep = !!options.deep
       this.user = !!options.user
       this.computed = !!options.computed
-      this.sync = !!options.sync
+      this.flush = options.flush
+      this.sync = !!options.sync || this.flush === 'sync'
       this.before = options.before
+      if (
+        process.env.NODE_ENV !== 'production' &&
+        this.flush != null &&
+        this.flush !== 'pre' && this.flush !== 'post' && this.flush !== 'sync'
+      ) {
+        warn(
+          `Invalid flush option "${String(this.flush)}" for watcher, ` +
+          `expected "pre", "post" or "sync".`,
+          vm
+        )
+      }
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack
+        this.onTrigger = options.onTrigger
+      }
     } else {
       this.deep = this.user = this.computed = this.sync = false
     }
     this.cb = cb
+    if (this.user) {
+      // 回调中可能开启异步任务(请求、定时器等)，通过onCleanup注册的清理函数
+      // 会在下一次调用回调之前以及观察者销毁时执行
+      this.onCleanup = (fn: Function) => {
+        this.cleanup = fn
+      }
+    }
     this.id = ++uid // uid for batching
     this.active = true
     this.dirty = this.computed // for computed watchers
@@ -79,12 +118,17 @@ export default class Watcher {
     this.newDeps = []
     this.depIds = new Set()
     this.newDepIds = new Set()
-    this.expression = process.env.NODE_ENV !== 'production'
+    // string paths are kept in production as well, for infinite loop reports
+    this.expression = process.env.NODE_ENV !== 'production' || typeof expOrFn === 'string'
       ? expOrFn.toString()
       : ''
     // parse expression for getter
+    this.multiSource = Array.isArray(expOrFn)
     if (typeof expOrFn === 'function') {
       this.getter = expOrFn
+    } else if (Array.isArray(expOrFn)) {
+      // 同时侦听多个数据源，求值结果为各个数据源的值组成的数组
+      this.getter = createMultiSourceGetter(expOrFn, vm)
     } else {
       this.getter = parsePath(expOrFn)
       if (!this.getter) {
@@ -140,7 +184,7 @@ export default class Watcher {
   /**
    * Add a dependency to this directive.
    */
-  addDep (dep: Dep) {
+  addDep (dep: Dep, info?: DebuggerEventExtraInfo) {
     const id = dep.id
     // 避免收集重复依赖
     if (!this.newDepIds.has(id)) {
@@ -148,6 +192,10 @@ export default class Watcher {
       // depIds和deps两个属性的值所存储的总是上一次求值过程中所收集的Dep实例对象
       this.newDepIds.add(id)
       this.newDeps.push(dep)
+      // 同一次求值中重复读取的依赖只报告一次
+      if (process.env.NODE_ENV !== 'production' && info && this.onTrack) {
+        this.onTrack(extend({ effect: this }, info))
+      }
       // 在多次求值中避免收集重复依赖
       if (!this.depIds.has(id)) {
         dep.addSub(this)
@@ -180,7 +228,7 @@ export default class Watcher {
    * Subscriber interface.
    * Will be called when a dependency changes.
    */
-  update () {
+  update (dep?: Dep, info?: DebuggerEventExtraInfo) {
     /* istanbul ignore else */
     if (this.computed) {
       // A computed property watcher has two modes: lazy and activated.
@@ -222,7 +270,7 @@ export default class Watcher {
       // 所以此时也尝试将renderWatcher添加到队列中，但由于renderWatcher已经存在于队列中了，所以并不会重复添加
       // 这样队列中就只会存在一个renderWatcher。当所有的突变完成之后，再一次性的执行队列中所有观察者的更新方法
       // 同事清空队列，就达到了优化的目的
-      queueWatcher(this)
+      queueWatcher(this, dep, info)
     }
   }
 
@@ -243,13 +291,16 @@ export default class Watcher {
     // 因为如果是渲染函数的观察者，this.get方法的返回值其实就等价于updateComponent函数的返回值，这个值将永远都是undefined
     // 如果是非渲染函数，它将用来对比新旧两次求值的结果，当值不相等的时候回调用通过参数传递进来的回调
     if (
-      value !== this.value ||
-      // Deep watchers and watchers on Object/Arrays should fire even
-      // when the value is the same, because the value may
-      // have mutated.
-      // 之所以要判断类型是否是对象，因为对象是引用的，内部的属性发生变化，但判断总是相等，这样就会产生问题
-      isObject(value) ||
-      this.deep
+      this.multiSource
+        // 多数据源每次求值都会得到一个新数组，所以要逐个比较其中的值
+        ? hasSourceChanged(value, this.value) || this.deep
+        : value !== this.value ||
+          // Deep watchers and watchers on Object/Arrays should fire even
+          // when the value is the same, because the value may
+          // have mutated.
+          // 之所以要判断类型是否是对象，因为对象是引用的，内部的属性发生变化，但判断总是相等，这样就会产生问题
+          isObject(value) ||
+          this.deep
     ) {
       // set new value
       const oldValue = this.value
@@ -259,8 +310,9 @@ export default class Watcher {
       // this.user代表开发者定义，指那些通过watch选项或$watch函数定义的观察者，这些观察者的特点是回调函数是由开发者编写的
       // 所以这些回调函数在执行的过程中行为是不可预知的，很可能会出现错误，这时候将放在try...catch语句块中，这样当错误发生时就能够给开发者一个友好的提示
       if (this.user) {
+        this.runCleanup()
         try {
-          cb.call(this.vm, value, oldValue)
+          cb.call(this.vm, value, oldValue, this.onCleanup)
         } catch (e) {
           handleError(e, this.vm, `callback for watcher "${this.expression}"`)
         }
@@ -270,6 +322,21 @@ export default class Watcher {
     }
   }
 
+  /**
+   * Run the cleanup registered by the last callback invocation.
+   */
+  runCleanup () {
+    const cleanup = this.cleanup
+    if (cleanup) {
+      this.cleanup = null
+      try {
+        cleanup()
+      } catch (e) {
+        handleError(e, this.vm, `cleanup for watcher "${this.expression}"`)
+      }
+    }
+  }
+
   /**
    * Evaluate and return the value of the watcher.
    * This only gets called for computed property watchers.
@@ -304,14 +371,70 @@ export default class Watcher {
       // this is a somewhat expensive operation so we skip it
       // if the vm is being destroyed.
       // _isBeingDestroyed为真表示组件已经被销毁
-      if (!this.vm._isBeingDestroyed) {
+      if (this.vm && !this.vm._isBeingDestroyed) {
         remove(this.vm._watchers, this)
       }
       let i = this.deps.length
       while (i--) {
         this.deps[i].removeSub(this)
       }
+      // 长期存在的作用域中不保留已经停止的观察者
+      if (this.scope) {
+        remove(this.scope.effects, this)
+        this.scope = null
+      }
+      this.runCleanup()
       this.active = false
     }
   }
 }
+
+/**
+ * Create a getter that collects the values of several watch sources
+ * (paths, functions, refs or reactive objects) into an array.
+ */
+function createMultiSourceGetter (sources: Array<any>, vm: ?Component): Function {
+  const getters = sources.map(source => {
+    if (typeof source === 'function') {
+      return source
+    }
+    if (typeof source === 'string') {
+      const getter = parsePath(source)
+      if (getter) {
+        return getter
+      }
+    } else if (isObject(source)) {
+      if (source[RefFlag]) {
+        return () => source.value
+      }
+      // 与直接侦听响应式对象一样，对象内部的变化也需要触发回调
+      if (source.__ob__) {
+        return () => {
+          traverse(source)
+          return source
+        }
+      }
+    }
+    process.env.NODE_ENV !== 'production' && warn(
+      `Invalid watch source: ${String(source)}. A watch source can only be ` +
+      `a dot-delimited path, a getter function, a ref or a reactive object.`,
+      vm
+    )
+    return noop
+  })
+  return function (obj) {
+    return getters.map(getter => getter.call(obj, obj))
+  }
+}
+
+function hasSourceChanged (value: any, oldValue: any): boolean {
+  if (!Array.isArray(value) || !Array.isArray(oldValue)) {
+    return value !== oldValue
+  }
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] !== oldValue[i] || isObject(value[i])) {
+      return true
+    }
+  }
+  return false
+}
@@ -0,0 +1,57 @@
+/* @flow */
+
+import Watcher from '../observer/watcher'
+import { RefFlag } from './ref'
+import { def, noop, warn } from '../util/index'
+
+import type { Ref } from './ref'
+
+const computedWatcherOptions = { computed: true }
+
+/**
+ * Create a cached, read-only ref whose value is derived from
+ * other reactive state. Pass { get, set } to make it writable.
+ * debugOptions accepts the onTrack/onTrigger hooks (dev only).
+ */
+export function computed<T> (
+  getterOrOptions: (() => T) | { get: () => T, set?: (value: T) => void },
+  debugOptions?: { onTrack?: Function, onTrigger?: Function }
+): Ref<T> {
+  let getter, setter
+  if (typeof getterOrOptions === 'function') {
+    getter = getterOrOptions
+  } else {
+    getter = getterOrOptions.get
+    setter = getterOrOptions.set
+  }
+  if (process.env.NODE_ENV !== 'production' && getter == null) {
+    warn('Getter is missing for computed().')
+  }
+  // 与组件的计算属性一样，使用computed观察者实现惰性求值和缓存
+  const watcher = new Watcher(
+    null,
+    getter || noop,
+    noop,
+    process.env.NODE_ENV !== 'production' && debugOptions
+      ? { computed: true, onTrack: debugOptions.onTrack, onTrigger: debugOptions.onTrigger }
+      : computedWatcherOptions
+  )
+  const ref = {}
+  def(ref, RefFlag, true)
+  Object.defineProperty(ref, 'value', {
+    enumerable: true,
+    configurable: true,
+    get () {
+      watcher.depend()
+      return watcher.evaluate()
+    },
+    set (newVal: T) {
+      if (setter) {
+        setter(newVal)
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn('Write operation failed: computed value is readonly.')
+      }
+    }
+  })
+  return (ref: any)
+}
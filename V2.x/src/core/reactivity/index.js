@@ -0,0 +1,19 @@
+/* @flow */
+
+export {
+  reactive,
+  isReactive,
+  shallowReactive,
+  readonly,
+  shallowReadonly
+} from './reactive'
+export { isReadonly } from '../observer/readonly'
+export { ref, isRef, unref } from './ref'
+export { computed } from './computed'
+export { watch, watchEffect } from './watch'
+export {
+  EffectScope,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose
+} from '../observer/effect-scope'
@@ -0,0 +1,77 @@
+/* @flow */
+
+import { observe } from '../observer/index'
+import { createReadonly } from '../observer/readonly'
+import { warn, isObject } from '../util/index'
+
+/**
+ * Make an object reactive outside of a component.
+ * In proxy mode the returned value is the reactive proxy and the
+ * original object should no longer be mutated directly; otherwise the
+ * object itself is converted in place and returned.
+ */
+export function reactive<T: Object> (target: T): T {
+  if (!isObject(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `reactive() expects an object, but got: ${String(target)}`
+    )
+    return target
+  }
+  const ob = observe(target)
+  if (process.env.NODE_ENV !== 'production' && !ob) {
+    warn(`Target cannot be made reactive: ${String(target)}`)
+  }
+  return ob && ob.proxy ? (ob.proxy: any) : target
+}
+
+/**
+ * Check if a value has been made reactive.
+ */
+export function isReactive (value: any): boolean {
+  return !!(isObject(value) && value.__ob__)
+}
+
+/**
+ * Like reactive(), but only the root level properties are reactive:
+ * nested objects are stored and returned as is.
+ */
+export function shallowReactive<T: Object> (target: T): T {
+  if (!isObject(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `shallowReactive() expects an object, but got: ${String(target)}`
+    )
+    return target
+  }
+  const ob = observe(target, false, true /* shallow */)
+  if (process.env.NODE_ENV !== 'production' && ob && !ob.shallow) {
+    warn('Target is already deeply reactive and cannot be made shallow.')
+  }
+  return ob && ob.proxy ? (ob.proxy: any) : target
+}
+
+/**
+ * Create a deeply readonly view of an object. Mutations are ignored
+ * and warned about in development.
+ */
+export function readonly<T: Object> (target: T): T {
+  if (!isObject(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `readonly() expects an object, but got: ${String(target)}`
+    )
+    return target
+  }
+  return createReadonly(target, false)
+}
+
+/**
+ * Like readonly(), but nested objects are returned as is.
+ */
+export function shallowReadonly<T: Object> (target: T): T {
+  if (!isObject(target)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `shallowReadonly() expects an object, but got: ${String(target)}`
+    )
+    return target
+  }
+  return createReadonly(target, true)
+}
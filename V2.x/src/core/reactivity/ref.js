@@ -0,0 +1,34 @@
+/* @flow */
+
+import { def, isObject } from '../util/index'
+import { defineReactive } from '../observer/index'
+
+export const RefFlag = '__v_isRef'
+
+export type Ref<T> = { value: T };
+
+/**
+ * Create a reactive container for a single value, which can be a
+ * primitive. The value is exposed through the .value property.
+ */
+export function ref<T> (value: T): Ref<T> {
+  if (isRef(value)) {
+    return (value: any)
+  }
+  const r = {}
+  // RefFlag定义为不可枚举属性，这样遍历ref对象时只会遍历到value
+  def(r, RefFlag, true)
+  defineReactive(r, 'value', value)
+  return (r: any)
+}
+
+export function isRef (value: any): boolean %checks {
+  return isObject(value) && value[RefFlag] === true
+}
+
+/**
+ * Return the inner value of a ref, or the value itself.
+ */
+export function unref<T> (value: T | Ref<T>): T {
+  return isRef(value) ? (value: any).value : (value: any)
+}
@@ -0,0 +1,90 @@
+/* @flow */
+
+import Watcher from '../observer/watcher'
+import { isRef } from './ref'
+import { isReactive } from './reactive'
+import { warn, noop, handleError } from '../util/index'
+
+type WatchOptions = {
+  immediate?: boolean;
+  deep?: boolean;
+  sync?: boolean;
+  flush?: 'pre' | 'post' | 'sync';
+  onTrack?: Function; // dev only
+  onTrigger?: Function; // dev only
+};
+
+/**
+ * Run a function immediately and re-run it whenever the reactive
+ * state it reads changes. Returns a function that stops it.
+ */
+export function watchEffect (
+  effect: Function,
+  options?: WatchOptions
+): Function {
+  // 副作用函数本身就是观察者的求值函数，每次依赖变化重新求值即重新执行副作用
+  options = options || {}
+  const watcher = new Watcher(null, effect, noop, {
+    user: true,
+    sync: !!options.sync,
+    flush: options.flush,
+    onTrack: options.onTrack,
+    onTrigger: options.onTrigger
+  })
+  return function stop () {
+    watcher.teardown()
+  }
+}
+
+/**
+ * Watch a ref, a reactive object, a getter function or an array of
+ * them, and invoke the callback with the new and old value whenever
+ * it changes.
+ * The callback also receives an onCleanup function, see $watch.
+ * Returns a function that stops watching.
+ */
+export function watch (
+  source: any,
+  cb: Function,
+  options?: WatchOptions
+): Function {
+  options = options || {}
+  let getter
+  let deep = !!options.deep
+  if (isRef(source)) {
+    getter = () => source.value
+  } else if (isReactive(source)) {
+    // 直接侦听响应式对象时默认深度观测，否则对象内部的变化无法触发回调
+    getter = () => source
+    deep = options.deep !== false
+  } else if (typeof source === 'function') {
+    getter = source
+  } else if (Array.isArray(source)) {
+    // 多个数据源交给观察者处理，回调接收的新值与旧值都是数组
+    getter = source
+  } else {
+    getter = noop
+    process.env.NODE_ENV !== 'production' && warn(
+      `Invalid watch source: ${String(source)}. A watch source can only be ` +
+      `a ref, a reactive object, a getter function or an array of these.`
+    )
+  }
+  const watcher = new Watcher(null, getter, cb, {
+    user: true,
+    deep,
+    sync: !!options.sync,
+    flush: options.flush,
+    onTrack: options.onTrack,
+    onTrigger: options.onTrigger
+  })
+  if (options.immediate) {
+    try {
+      cb(watcher.value, undefined, watcher.onCleanup)
+    } catch (e) {
+      handleError(e, null, `callback for immediate watcher "${watcher.expression}"`)
+    }
+  }
+  return function stop () {
+    watcher.teardown()
+  }
+}
@@ -15,11 +15,11 @@ if (process.env.NODE_ENV !== 'production') {
     .replace(classifyRE, c => c.toUpperCase())
     .replace(/[-_]/g, '')
 
-  warn = (msg, vm) => {
+  warn = (msg, vm, report) => {
     const trace = vm ? generateComponentTrace(vm) : ''
 
     if (config.warnHandler) {
-      config.warnHandler.call(null, msg, vm, trace)
+      config.warnHandler.call(null, msg, vm, trace, report)
     } else if (hasConsole && (!config.silent)) {
       console.error(`[Vue warn]: ${msg}${trace}`)
     }
@@ -246,13 +246,18 @@ const defaultStrat = function (parentVal: any, childVal: any): any {
 /**
  * Validate component names
  */
-function checkComponents (options: Object) {
+function checkComponents (options: Object, parent: Object) {
   for (const key in options.components) {
-    validateComponentName(key)
+    validateComponentName(key, parent)
   }
 }
 
-export function validateComponentName (name: string) {
+/**
+ * ctorOptions are the options of the constructor the component is
+ * registered on, they carry the platform hooks of createRenderer runtimes.
+ */
+export function validateComponentName (name: string, ctorOptions?: Object) {
+  const platform = (ctorOptions && ctorOptions._platform) || config
   if (!/^[a-zA-Z][\w-]*$/.test(name)) {
     warn(
       'Invalid component name: "' + name + '". Component names ' +
@@ -260,7 +265,7 @@ export function validateComponentName (name: string) {
       'and must start with a letter.'
     )
   }
-  if (isBuiltInTag(name) || config.isReservedTag(name)) {
+  if (isBuiltInTag(name) || platform.isReservedTag(name)) {
     warn(
       'Do not use built-in or reserved HTML elements as component ' +
       'id: ' + name
@@ -368,7 +373,7 @@ export function mergeOptions (
   vm?: Component
 ): Object {
   if (process.env.NODE_ENV !== 'production') {
-    checkComponents(child)
+    checkComponents(child, parent)
   }
 
   if (typeof child === 'function') {
@@ -436,3 +441,12 @@ export function resolveAsset (
   }
   return res
 }
+
+/**
+ * Resolve the platform hooks (isReservedTag, mustUseProp...) for an
+ * instance. Runtimes made by createRenderer carry their own, everything
+ * else uses the ones the platform installed on the global config.
+ */
+export function resolvePlatformConfig (vm: ?Component): Object {
+  return (vm && vm.$options._platform) || config
+}
@@ -48,7 +48,10 @@ export function validateProp (
     // make sure to observe it.
     const prevShouldObserve = shouldObserve
     toggleObserving(true)
-    observe(value)
+    const ob = observe(value)
+    if (ob && ob.proxy) {
+      value = ob.proxy
+    }
     toggleObserving(prevShouldObserve)
   }
   if (
@@ -1,6 +1,5 @@
 /* @flow */
 
-import config from '../config'
 import VNode, { createEmptyVNode } from './vnode'
 import { createComponent } from './create-component'
 import { traverse } from '../observer/traverse'
@@ -12,7 +11,8 @@ import {
   isTrue,
   isObject,
   isPrimitive,
-  resolveAsset
+  resolveAsset,
+  resolvePlatformConfig
 } from '../util/index'
 
 import {
@@ -108,12 +108,13 @@ export function _createElement (
   let vnode, ns
   if (typeof tag === 'string') {
     let Ctor
-    ns = (context.$vnode && context.$vnode.ns) || config.getTagNamespace(tag)
+    const platform = resolvePlatformConfig(context)
+    ns = (context.$vnode && context.$vnode.ns) || platform.getTagNamespace(tag)
     // 如果是内置的一些节点，则直接创建一个普通VNode
-    if (config.isReservedTag(tag)) {
+    if (platform.isReservedTag(tag)) {
       // platform built-in elements
       vnode = new VNode(
-        config.parsePlatformTagName(tag), data, children,
+        platform.parsePlatformTagName(tag), data, children,
         undefined, undefined, context
       )
     }
@@ -0,0 +1,120 @@
+/* @flow */
+
+import config from 'core/config'
+import { warn } from 'core/util/index'
+import { isDef, isUndef } from 'shared/util'
+
+export type HydrationMismatchKind =
+  'tag' | 'text' | 'children' | 'attrs' | 'class' | 'style' | 'innerHTML' | 'fragment';
+
+export type HydrationRecovery = 'patch' | 'rerender' | 'throw';
+
+/**
+ * The host specific part of hydration, passed to createPatchFunction as
+ * backend.hydration. Hosts without it skip the attribute comparison and
+ * only describe elements by their tag.
+ */
+export type HydrationOps = {
+  getMismatches: (elm: any, vnode: VNodeWithData) => Array<HydrationMismatchKind>;
+  resetMismatch: (elm: any, kind: HydrationMismatchKind) => void;
+  describeVNode: (vnode: VNode) => Object;
+  describeNode: (node: any) => Object;
+};
+
+/**
+ * Whether hydration should look for mismatches at all. In production
+ * this costs extra DOM reads, so it only happens when a handler listens.
+ */
+export function shouldCheckHydration (): boolean {
+  return process.env.NODE_ENV !== 'production' || isDef(config.hydrationMismatchHandler)
+}
+
+/**
+ * Report a hydration mismatch and decide how to recover from it:
+ * config.hydrationMismatchHandler may return a recovery for this very
+ * mismatch, otherwise config.hydrationMismatch applies.
+ */
+export function reportHydrationMismatch (
+  kind: HydrationMismatchKind,
+  node: ?Node,
+  vnode: ?VNode,
+  vm: ?Component,
+  ops?: HydrationOps
+): HydrationRecovery {
+  const report = {
+    type: 'hydration-mismatch',
+    kind,
+    path: getComponentPath(vm),
+    expected: vnode ? describeVNode(vnode, ops) : null,
+    actual: node ? describeNode(node, ops) : null,
+    vnode,
+    node
+  }
+  const msg = `Hydration ${kind} mismatch in ${report.path}: expected ${
+    format(report.expected)
+  } but found ${
+    format(report.actual)
+  } in the server-rendered DOM.`
+  if (process.env.NODE_ENV !== 'production') {
+    warn(msg, vm, report)
+  }
+  let recovery = config.hydrationMismatch
+  if (config.hydrationMismatchHandler) {
+    recovery = config.hydrationMismatchHandler(report, vm) || recovery
+  }
+  if (recovery === 'throw') {
+    const err: any = new Error(msg)
+    err.report = report
+    throw err
+  }
+  return recovery
+}
+
+function describeVNode (vnode: VNode, ops?: HydrationOps): Object {
+  if (vnode.isFragment) {
+    return { tag: '#fragment' }
+  }
+  if (isUndef(vnode.tag)) {
+    return { tag: vnode.isComment ? '#comment' : '#text', text: vnode.text }
+  }
+  return ops ? ops.describeVNode(vnode) : { tag: vnode.tag }
+}
+
+function describeNode (node: any, ops?: HydrationOps): Object {
+  if (node.nodeType !== 1) {
+    return { tag: node.nodeType === 8 ? '#comment' : '#text', text: node.data }
+  }
+  return ops ? ops.describeNode(node) : { tag: String(node.tagName).toLowerCase() }
+}
+
+function format (desc: ?Object): string {
+  if (!desc) {
+    return 'nothing'
+  }
+  if (desc.tag.charAt(0) === '#') {
+    return isDef(desc.text) ? `${desc.tag} "${desc.text}"` : desc.tag
+  }
+  let res = `<${desc.tag}`
+  if (desc.class) res += ` class="${desc.class}"`
+  const style = desc.style && Object.keys(desc.style).map(name => `${name}:${desc.style[name]}`).join(';')
+  if (style) res += ` style="${style}"`
+  for (const key in desc.attrs) {
+    if (desc.attrs[key] !== null) res += ` ${key}="${desc.attrs[key]}"`
+  }
+  return res + '>'
+}
+
+// component names are needed in production too, so this does not rely on
+// formatComponentName from the debug utils
+function getComponentPath (vm: ?Component): string {
+  const names = []
+  while (vm) {
+    const options = vm.$options
+    names.unshift(vm.$root === vm
+      ? '<Root>'
+      : `<${options.name || options._componentTag || 'Anonymous'}>`
+    )
+    vm = vm.$parent
+  }
+  return names.join(' > ') || '<Root>'
+}
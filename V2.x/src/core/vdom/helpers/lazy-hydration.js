@@ -0,0 +1,125 @@
+/* @flow */
+
+import { warn, nextTick, inBrowser, supportsPassive } from 'core/util/index'
+
+export type HydrationStrategy = 'idle' | 'visible' | 'interaction' | 'never';
+
+const strategies: { [key: HydrationStrategy]: Function } = {
+  idle: onIdle,
+  visible: onVisible,
+  interaction: onInteraction,
+  never: () => () => {}
+}
+
+// events that trigger an interaction hydration. only a click is replayed on
+// the hydrated content so it is not lost, the others keep their default
+// action (scrolling, the synthesized click) and just start the hydration
+export const interactionEvents = ['click', 'focusin', 'touchstart']
+
+/**
+ * Validate the hydrate option of a component, used by the server renderer
+ * to decide whether the component output gets lazy hydration markers.
+ */
+export function getHydrationStrategy (options: Object): ?HydrationStrategy {
+  const strategy = options.hydrate
+  if (strategy == null) {
+    return
+  }
+  if (!strategies.hasOwnProperty(strategy)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Invalid hydrate option "${String(strategy)}" in component ` +
+      `<${options.name || options._componentTag || 'anonymous'}>, expected ` +
+      `one of ${Object.keys(strategies).join(', ')}.`
+    )
+    return
+  }
+  return strategy
+}
+
+/**
+ * Wait for a hydration strategy to fire on the server-rendered nodes of a
+ * component. Returns a function that cancels the wait.
+ */
+export function scheduleHydration (
+  strategy: string,
+  nodes: Array<Node>,
+  hydrate: () => void
+): Function {
+  const schedule = strategies[strategy]
+  if (!inBrowser || !schedule) {
+    // nothing can fire outside of the browser, hydrate on the next update
+    hydrate()
+    return () => {}
+  }
+  const elms: Array<any> = nodes.filter(node => node.nodeType === 1)
+  let teardown
+  let fired = false
+  const fire = (event?: Event) => {
+    if (!fired) {
+      fired = true
+      teardown()
+      const e: any = event && event.type === 'click' ? event : null
+      if (e) {
+        // the event is replayed on the hydrated content, the original one
+        // must neither run its default action nor reach other listeners
+        e.preventDefault()
+        e.stopPropagation()
+      }
+      hydrate()
+      if (e) {
+        // the hydrated listeners are attached once the update is flushed.
+        // stale markup is rendered again, its nodes are detached by then
+        nextTick(() => {
+          const target = e.target
+          if (target.ownerDocument && target.ownerDocument.contains(target)) {
+            target.dispatchEvent(new e.constructor(e.type, e))
+          }
+        })
+      }
+    }
+  }
+  teardown = schedule(elms, fire)
+  return () => {
+    fired = true
+    teardown()
+  }
+}
+
+function onIdle (elms, fire) {
+  if (typeof window.requestIdleCallback === 'function') {
+    const id = window.requestIdleCallback(() => fire())
+    return () => window.cancelIdleCallback(id)
+  }
+  const id = setTimeout(() => fire(), 1)
+  return () => clearTimeout(id)
+}
+
+function onVisible (elms, fire) {
+  if (typeof window.IntersectionObserver !== 'function' || !elms.length) {
+    // no way to tell, treat it as visible
+    return onIdle(elms, fire)
+  }
+  const observer = new window.IntersectionObserver(entries => {
+    if (entries.some(entry => entry.isIntersecting)) fire()
+  })
+  elms.forEach(elm => observer.observe(elm))
+  return () => observer.disconnect()
+}
+
+function onInteraction (elms, fire) {
+  const handler = (event: Event) => fire(event)
+  elms.forEach(elm => {
+    interactionEvents.forEach(type => elm.addEventListener(
+      type,
+      handler,
+      supportsPassive
+        ? { capture: true, passive: type !== 'click' }
+        : true
+    ))
+  })
+  return () => {
+    elms.forEach(elm => {
+      interactionEvents.forEach(type => elm.removeEventListener(type, handler, true))
+    })
+  }
+}
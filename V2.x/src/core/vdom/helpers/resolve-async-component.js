@@ -37,6 +37,27 @@ export function createAsyncPlaceholder (
   return node
 }
 
+/**
+ * Invoke cb once an async component factory has resolved or failed.
+ */
+export function onAsyncSettled (factory: Function, cb: Function) {
+  if (isDef(factory.resolved) || isTrue(factory.failed)) {
+    cb()
+  } else {
+    (factory.settledCbs || (factory.settledCbs = [])).push(cb)
+  }
+}
+
+function flushSettledCbs (factory: Function) {
+  const cbs = factory.settledCbs
+  if (isDef(cbs)) {
+    factory.settledCbs = undefined
+    for (let i = 0; i < cbs.length; i++) {
+      cbs[i]()
+    }
+  }
+}
+
 export function resolveAsyncComponent (
   factory: Function,
   baseCtor: Class<Component>,
@@ -75,6 +96,7 @@ export function resolveAsyncComponent (
       if (!sync) {
         forceRender()
       }
+      flushSettledCbs(factory)
     })
 
     const reject = once(reason => {
@@ -86,6 +108,8 @@ export function resolveAsyncComponent (
         factory.error = true
         forceRender()
       }
+      factory.failed = true
+      flushSettledCbs(factory)
     })
 
     const res = factory(resolve, reject)
@@ -12,20 +12,30 @@
 
 import VNode, { cloneVNode } from './vnode'
 import config from '../config'
-import { SSR_ATTR } from 'shared/constants'
+import { SSR_ATTR, PatchFlags } from 'shared/constants'
 import { registerRef } from './modules/ref'
 import { traverse } from '../observer/traverse'
 import { activeInstance } from '../instance/lifecycle'
+import { onAsyncSettled } from './helpers/index'
+import { registerSuspenseDep } from '../components/suspense'
 import { isTextInputType } from 'web/util/element'
+import {
+  shouldCheckHydration,
+  reportHydrationMismatch
+} from './helpers/hydration-mismatch'
+import { scheduleHydration } from './helpers/lazy-hydration'
 
 import {
   warn,
   isDef,
+  emptyObject,
   isUndef,
   isTrue,
   makeMap,
   isRegExp,
-  isPrimitive
+  isPrimitive,
+  looseEqual,
+  resolvePlatformConfig
 } from '../util/index'
 
 export const emptyNode = new VNode('', {}, [])
@@ -41,6 +51,7 @@ function sameVnode (a, b) {
       (
         a.tag === b.tag &&
         a.isComment === b.isComment &&
+        a.isFragment === b.isFragment &&
         isDef(a.data) === isDef(b.data) &&
         sameInputType(a, b)
       ) || (
@@ -52,6 +63,22 @@ function sameVnode (a, b) {
   )
 }
 
+// 编译器生成的patch flag只有在新旧vnode来自同一个模板节点时才可信：
+// patchId相同且属于同一个实例，否则(例如v-if的不同分支)按完整流程对比
+function getPatchFlag (oldVnode, vnode) {
+  const data = vnode.data
+  const oldData = oldVnode.data
+  if (
+    isDef(data) && isDef(data.patchId) &&
+    isDef(oldData) && oldData.patchId === data.patchId &&
+    oldVnode.context === vnode.context
+  ) {
+    return data.patchFlag
+  }
+}
+
+const CHILDREN_FLAGS = PatchFlags.TEXT | PatchFlags.KEYED_CHILDREN | PatchFlags.UNKEYED_CHILDREN
+
 function sameInputType (a, b) {
   if (a.tag !== 'input') return true
   let i
@@ -70,6 +97,53 @@ function createKeyToOldIdx (children, beginIdx, endIdx) {
   return map
 }
 
+function isKeyed (children, beginIdx, endIdx) {
+  for (let i = beginIdx; i <= endIdx; ++i) {
+    if (isUndef(children[i]) || isUndef(children[i].key)) return false
+  }
+  return true
+}
+
+// indices of the longest increasing subsequence of arr, ignoring 0 entries
+// (nodes without an old counterpart)
+function getSequence (arr) {
+  const p = arr.slice()
+  const result = []
+  let i, j, u, v, c
+  for (i = 0; i < arr.length; i++) {
+    const n = arr[i]
+    if (n === 0) continue
+    j = result[result.length - 1]
+    if (isUndef(j) || arr[j] < n) {
+      p[i] = j
+      result.push(i)
+      continue
+    }
+    // binary search for the first element in result larger than n
+    u = 0
+    v = result.length - 1
+    while (u < v) {
+      c = (u + v) >> 1
+      if (arr[result[c]] < n) {
+        u = c + 1
+      } else {
+        v = c
+      }
+    }
+    if (n < arr[result[u]]) {
+      if (u > 0) p[i] = result[u - 1]
+      result[u] = i
+    }
+  }
+  u = result.length
+  v = result[u - 1]
+  while (u-- > 0) {
+    result[u] = v
+    v = p[v]
+  }
+  return result
+}
+
 // 该函数内部定义了一系列的辅助方法，最终返回一个patch方法，这个方法就赋值给了vm._update函数里调用的vm.__patch__
 // patch是平台相关的，在web和Weex环境，它们把虚拟DOM映射到"平台DOM"的方法是不同的，并且对"DOM"包括的属性模块创建和更新也不尽相同
 // 因此每个平台都有各自的nodeOps和modules，它们的代码需要托管在src/platforms大目录下
@@ -81,7 +155,8 @@ export function createPatchFunction (backend) {
 
   // nodeOps表示对"平台DOM"的一些操作方法，
   // modules表示平台的一些模块，它们会在整个patch过程的不同阶段执行响应的钩子函数
-  const { modules, nodeOps } = backend
+  // hydration是激活服务端渲染内容时平台相关的比较与描述，可选
+  const { modules, nodeOps, hydration } = backend
 
   for (i = 0; i < hooks.length; ++i) {
     cbs[hooks[i]] = []
@@ -92,14 +167,22 @@ export function createPatchFunction (backend) {
     }
   }
 
+  // the patch flag each update hook depends on, modules without one always run
+  const updateFlags = []
+  for (j = 0; j < modules.length; ++j) {
+    if (isDef(modules[j].update)) {
+      updateFlags.push(modules[j].patchFlag)
+    }
+  }
+
   function emptyNodeAt (elm) {
     return new VNode(nodeOps.tagName(elm).toLowerCase(), {}, [], undefined, elm)
   }
 
-  function createRmCb (childElm, listeners) {
+  function createRmCb (vnode, listeners) {
     function remove () {
       if (--remove.listeners === 0) {
-        removeNode(childElm)
+        forEachNode(vnode, removeNode, true)
       }
     }
     remove.listeners = listeners
@@ -114,6 +197,97 @@ export function createPatchFunction (backend) {
     }
   }
 
+  // 片段(包括以片段为根节点的组件)对应的是一段连续的真实节点，
+  // 插入、移动、删除时需要把起止锚点及其间的所有节点作为整体处理
+  function getFragment (vnode) {
+    while (isDef(vnode) && isDef(vnode.componentInstance)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    return isDef(vnode) && (isTrue(vnode.isFragment) || isDef(vnode.lazyHydration))
+      ? vnode
+      : null
+  }
+
+  function isTeleported (vnode) {
+    return isDef(vnode.teleport) && isDef(vnode.teleport.targetAnchor)
+  }
+
+  /**
+   * Invoke fn on every DOM node covered by a vnode, in document order.
+   * Content teleported elsewhere is only included when withTeleported
+   * is set, i.e. when the nodes are being removed rather than moved.
+   */
+  function forEachNode (vnode, fn, withTeleported) {
+    const fragment = getFragment(vnode)
+    if (fragment && isDef(fragment.lazyHydration)) {
+      // the server-rendered nodes of a component waiting to be hydrated
+      const nodes = []
+      let node = fragment.elm
+      while (node !== fragment.anchor) {
+        nodes.push(node)
+        node = nodeOps.nextSibling(node)
+      }
+      nodes.push(node)
+      nodes.forEach(fn)
+    } else if (fragment) {
+      fn(fragment.elm)
+      const teleported = isTeleported(fragment)
+      if (!teleported || withTeleported) {
+        const children = fragment.children
+        for (let i = 0; i < children.length; i++) {
+          forEachNode(children[i], fn, withTeleported)
+        }
+      }
+      if (teleported && withTeleported) {
+        fn(fragment.teleport.targetAnchor)
+      }
+      fn(fragment.anchor)
+    } else {
+      fn(vnode.elm)
+    }
+  }
+
+  function lastNodeOf (vnode) {
+    const fragment = getFragment(vnode)
+    return fragment ? fragment.anchor : vnode.elm
+  }
+
+  function insertVnode (parent, vnode, ref) {
+    forEachNode(vnode, elm => insert(parent, elm, ref))
+  }
+
+  function moveVnode (parent, vnode, ref) {
+    forEachNode(vnode, elm => nodeOps.insertBefore(parent, elm, ref))
+  }
+
+  // 解析传送目标，并在目标元素末尾插入一个锚点，传送的子节点都插入到该锚点之前
+  // 未启用传送或者目标无效时返回null，子节点渲染在原位置
+  function mountTeleportTarget (vnode, silent) {
+    const teleport = vnode.teleport
+    if (teleport.disabled) {
+      return null
+    }
+    let target = teleport.to
+    if (teleport.offscreen) {
+      // rendered into a detached element, used by <suspense>
+      target = nodeOps.createElement('div')
+    } else if (typeof target === 'string') {
+      target = isDef(nodeOps.querySelector) ? nodeOps.querySelector(target) : null
+    }
+    if (!target) {
+      process.env.NODE_ENV !== 'production' && !silent && warn(
+        `Invalid teleport target: ${String(teleport.to)}. ` +
+        `The content is rendered in place instead.`,
+        vnode.context
+      )
+      return null
+    }
+    teleport.target = target
+    teleport.targetAnchor = nodeOps.createTextNode('')
+    nodeOps.appendChild(target, teleport.targetAnchor)
+    return target
+  }
+
   function isUnknownElement (vnode, inVPre) {
     return (
       !inVPre &&
@@ -126,7 +300,7 @@ export function createPatchFunction (backend) {
             : ignore === vnode.tag
         })
       ) &&
-      config.isUnknownElement(vnode.tag)
+      resolvePlatformConfig(vnode.context).isUnknownElement(vnode.tag)
     )
   }
 
@@ -157,6 +331,11 @@ export function createPatchFunction (backend) {
       return
     }
 
+    if (isTrue(vnode.isFragment)) {
+      createFragment(vnode, insertedVnodeQueue, parentElm, refElm, nested)
+      return
+    }
+
     const data = vnode.data
     const children = vnode.children
     const tag = vnode.tag
@@ -220,12 +399,46 @@ export function createPatchFunction (backend) {
     else if (isTrue(vnode.isComment)) {
       vnode.elm = nodeOps.createComment(vnode.text)
       insert(parentElm, vnode.elm, refElm)
+      if (isDef(vnode.asyncFactory)) {
+        trackAsyncPlaceholder(vnode)
+      }
     } else {
       vnode.elm = nodeOps.createTextNode(vnode.text)
       insert(parentElm, vnode.elm, refElm)
     }
   }
 
+  // 片段没有自己的元素，子节点直接插入到父元素中，并用两个空文本节点标记起止位置
+  // 如果parentElm不存在(组件根节点)，子节点会在组件插入时通过insertVnode一起插入
+  function createFragment (vnode, insertedVnodeQueue, parentElm, refElm, nested) {
+    const children = vnode.children
+    vnode.elm = nodeOps.createTextNode('')
+    vnode.anchor = nodeOps.createTextNode('')
+    insert(parentElm, vnode.elm, refElm)
+    let container = parentElm
+    let ref = refElm
+    if (isDef(vnode.teleport) && mountTeleportTarget(vnode)) {
+      container = vnode.teleport.target
+      ref = vnode.teleport.targetAnchor
+    }
+    if (process.env.NODE_ENV !== 'production') {
+      checkDuplicateKeys(children)
+    }
+    for (let i = 0; i < children.length; ++i) {
+      createElm(children[i], insertedVnodeQueue, container, ref, nested, children, i)
+    }
+    insert(parentElm, vnode.anchor, refElm)
+  }
+
+  // an async component that is still loading delays the closest <suspense>
+  function trackAsyncPlaceholder (vnode) {
+    const vm = activeInstance
+    const boundary = vm && (vm._isSuspense ? vm : vm._suspense)
+    if (boundary) {
+      onAsyncSettled(vnode.asyncFactory, registerSuspenseDep(boundary))
+    }
+  }
+
   // 目的是尝试创建子组件
   function createComponent (vnode, insertedVnodeQueue, parentElm, refElm) {
     let i = vnode.data
@@ -240,7 +453,7 @@ export function createPatchFunction (backend) {
       // in that case we can just return the element and be done.
       if (isDef(vnode.componentInstance)) {
         initComponent(vnode, insertedVnodeQueue)
-        insert(parentElm, vnode.elm, refElm)
+        insertVnode(parentElm, vnode, refElm)
         if (isTrue(isReactivated)) {
           reactivateComponent(vnode, insertedVnodeQueue, parentElm, refElm)
         }
@@ -286,7 +499,7 @@ export function createPatchFunction (backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
-    insert(parentElm, vnode.elm, refElm)
+    insertVnode(parentElm, vnode, refElm)
   }
 
   // 逻辑很简单，调用一些nodeOps把子节点插入到父节点中，辅助方法定义在src/platforms/web/runtime/node-ops.js中
@@ -370,6 +583,11 @@ export function createPatchFunction (backend) {
   function invokeDestroyHook (vnode) {
     let i, j
     const data = vnode.data
+    if (isDef(i = vnode.lazyHydration)) {
+      // never hydrated, nothing has been set up for it
+      i.cancel()
+      return
+    }
     if (isDef(data)) {
       if (isDef(i = data.hook) && isDef(i = i.destroy)) i(vnode)
       for (i = 0; i < cbs.destroy.length; ++i) cbs.destroy[i](vnode)
@@ -388,6 +606,13 @@ export function createPatchFunction (backend) {
         if (isDef(ch.tag)) {
           removeAndInvokeRemoveHook(ch)
           invokeDestroyHook(ch)
+        } else if (isTrue(ch.isFragment)) {
+          removeNode(ch.elm)
+          removeVnodes(parentElm, ch.children, 0, ch.children.length - 1)
+          if (isTeleported(ch)) {
+            removeNode(ch.teleport.targetAnchor)
+          }
+          removeNode(ch.anchor)
         } else { // Text node
           removeNode(ch.elm)
         }
@@ -405,7 +630,7 @@ export function createPatchFunction (backend) {
         rm.listeners += listeners
       } else {
         // directly removing
-        rm = createRmCb(vnode.elm, listeners)
+        rm = createRmCb(vnode, listeners)
       }
       // recursively invoke hooks on child component root node
       if (isDef(i = vnode.componentInstance) && isDef(i = i._vnode) && isDef(i.data)) {
@@ -420,11 +645,12 @@ export function createPatchFunction (backend) {
         rm()
       }
     } else {
-      removeNode(vnode.elm)
+      forEachNode(vnode, removeNode, true)
     }
   }
 
-  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
+  // parentAnchor: 在片段内更新子节点时，新增的节点需要插入到片段的结束锚点之前
+  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, parentAnchor) {
     let oldStartIdx = 0
     let newStartIdx = 0
     let oldEndIdx = oldCh.length - 1
@@ -433,7 +659,7 @@ export function createPatchFunction (backend) {
     let newEndIdx = newCh.length - 1
     let newStartVnode = newCh[0]
     let newEndVnode = newCh[newEndIdx]
-    let oldKeyToIdx, idxInOld, vnodeToMove, refElm
+    let oldKeyToIdx, idxInOld, vnodeToMove, refElm, keyed
 
     // removeOnly is a special flag used only by <transition-group>
     // to ensure removed elements stay in correct relative positions
@@ -457,14 +683,24 @@ export function createPatchFunction (backend) {
         patchVnode(oldEndVnode, newEndVnode, insertedVnodeQueue)
         oldEndVnode = oldCh[--oldEndIdx]
         newEndVnode = newCh[--newEndIdx]
+      } else if (
+        isUndef(keyed) &&
+        (keyed = isKeyed(oldCh, oldStartIdx, oldEndIdx) && isKeyed(newCh, newStartIdx, newEndIdx))
+      ) {
+        // 头尾都对比不上时，如果剩余的新旧节点全部带key，则通过最长递增子序列计算最少的移动
+        updateKeyedChildren(
+          parentElm, oldCh, oldStartIdx, oldEndIdx, newCh, newStartIdx, newEndIdx,
+          insertedVnodeQueue, canMove, parentAnchor
+        )
+        return
       } else if (sameVnode(oldStartVnode, newEndVnode)) { // Vnode moved right
         patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue)
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
+        canMove && moveVnode(parentElm, oldStartVnode, nodeOps.nextSibling(lastNodeOf(oldEndVnode)))
         oldStartVnode = oldCh[++oldStartIdx]
         newEndVnode = newCh[--newEndIdx]
       } else if (sameVnode(oldEndVnode, newStartVnode)) { // Vnode moved left
         patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue)
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
+        canMove && moveVnode(parentElm, oldEndVnode, oldStartVnode.elm)
         oldEndVnode = oldCh[--oldEndIdx]
         newStartVnode = newCh[++newStartIdx]
       } else {
@@ -479,7 +715,7 @@ export function createPatchFunction (backend) {
           if (sameVnode(vnodeToMove, newStartVnode)) {
             patchVnode(vnodeToMove, newStartVnode, insertedVnodeQueue)
             oldCh[idxInOld] = undefined
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm)
+            canMove && moveVnode(parentElm, vnodeToMove, oldStartVnode.elm)
           } else {
             // same key but different element. treat as new element
             createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
@@ -489,13 +725,62 @@ export function createPatchFunction (backend) {
       }
     }
     if (oldStartIdx > oldEndIdx) {
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
+      refElm = isUndef(newCh[newEndIdx + 1]) ? parentAnchor : newCh[newEndIdx + 1].elm
       addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
     } else if (newStartIdx > newEndIdx) {
       removeVnodes(parentElm, oldCh, oldStartIdx, oldEndIdx)
     }
   }
 
+  // the old nodes that keep their relative order (the longest increasing
+  // subsequence of their old indices) stay in place, all others are moved
+  function updateKeyedChildren (
+    parentElm, oldCh, oldStartIdx, oldEndIdx, newCh, newStartIdx, newEndIdx,
+    insertedVnodeQueue, canMove, parentAnchor
+  ) {
+    const newKeyToIdx = createKeyToOldIdx(newCh, newStartIdx, newEndIdx)
+    const toBePatched = newEndIdx - newStartIdx + 1
+    // old index + 1 of each new node, 0 for new nodes
+    const newIdxToOldIdx = new Array(toBePatched)
+    let i, oldVnode, newIdx
+    for (i = 0; i < toBePatched; i++) newIdxToOldIdx[i] = 0
+    let moved = false
+    let maxNewIdxSoFar = 0
+    for (i = oldStartIdx; i <= oldEndIdx; i++) {
+      oldVnode = oldCh[i]
+      newIdx = newKeyToIdx[oldVnode.key]
+      if (isDef(newIdx) && newIdxToOldIdx[newIdx - newStartIdx] === 0 && sameVnode(oldVnode, newCh[newIdx])) {
+        patchVnode(oldVnode, newCh[newIdx], insertedVnodeQueue)
+        newIdxToOldIdx[newIdx - newStartIdx] = i + 1
+        if (newIdx >= maxNewIdxSoFar) {
+          maxNewIdxSoFar = newIdx
+        } else {
+          moved = true
+        }
+      } else {
+        // removed, or same key but different element
+        removeVnodes(parentElm, oldCh, i, i)
+      }
+    }
+    const stable = moved && canMove ? getSequence(newIdxToOldIdx) : []
+    let j = stable.length - 1
+    // walk backwards so that the next sibling is always in place
+    for (i = toBePatched - 1; i >= 0; i--) {
+      newIdx = newStartIdx + i
+      const vnode = newCh[newIdx]
+      const refElm = newIdx + 1 < newCh.length ? newCh[newIdx + 1].elm : parentAnchor
+      if (newIdxToOldIdx[i] === 0) {
+        createElm(vnode, insertedVnodeQueue, parentElm, refElm, false, newCh, newIdx)
+      } else if (moved && canMove) {
+        if (j < 0 || i !== stable[j]) {
+          moveVnode(parentElm, vnode, refElm)
+        } else {
+          j--
+        }
+      }
+    }
+  }
+
   function checkDuplicateKeys (children) {
     const seenKeys = {}
     for (let i = 0; i < children.length; i++) {
@@ -521,7 +806,7 @@ export function createPatchFunction (backend) {
     }
   }
 
-  function patchVnode (oldVnode, vnode, insertedVnodeQueue, removeOnly) {
+  function patchVnode (oldVnode, vnode, insertedVnodeQueue, removeOnly, optimized) {
     if (oldVnode === vnode) {
       return
     }
@@ -537,6 +822,20 @@ export function createPatchFunction (backend) {
       return
     }
 
+    const lazy = oldVnode.lazyHydration
+    if (isDef(lazy)) {
+      // new props make the server-rendered markup stale, render it right away
+      const stale = propsChanged(oldVnode, vnode)
+      if (lazy.ready || stale) {
+        lazy.cancel()
+        hydrateLazy(oldVnode, vnode, insertedVnodeQueue, stale)
+      } else {
+        vnode.anchor = oldVnode.anchor
+        vnode.lazyHydration = lazy
+      }
+      return
+    }
+
     // reuse element for static trees.
     // note we only do this if the vnode is cloned -
     // if the new node is not cloned it means the render functions have been
@@ -550,6 +849,24 @@ export function createPatchFunction (backend) {
       return
     }
 
+    // 片段只需要在其父元素(或传送目标)中对比子节点
+    if (isTrue(vnode.isFragment)) {
+      vnode.anchor = oldVnode.anchor
+      let parentElm = nodeOps.parentNode(elm)
+      let parentAnchor = vnode.anchor
+      if (isDef(vnode.teleport)) {
+        patchTeleport(oldVnode, vnode, parentElm)
+        if (isTeleported(vnode)) {
+          parentElm = vnode.teleport.target
+          parentAnchor = vnode.teleport.targetAnchor
+        }
+      }
+      if (oldVnode.children !== vnode.children) {
+        updateChildren(parentElm, oldVnode.children, vnode.children, insertedVnodeQueue, removeOnly, parentAnchor)
+      }
+      return
+    }
+
     // 1.执行prepatch钩子函数
     // prepatch方法就是拿到新的vnode的组件配置以及组件实例，去执行updateChildComponent方法
     let i
@@ -560,9 +877,15 @@ export function createPatchFunction (backend) {
 
     const oldCh = oldVnode.children
     const ch = vnode.children
+    const flag = getPatchFlag(oldVnode, vnode)
     // 2. 执行update钩子函数
+    //   有可信的patch flag时，只执行与动态部分相关的模块
     if (isDef(data) && isPatchable(vnode)) {
-      for (i = 0; i < cbs.update.length; ++i) cbs.update[i](oldVnode, vnode)
+      for (i = 0; i < cbs.update.length; ++i) {
+        if (isUndef(flag) || isUndef(updateFlags[i]) || (flag & updateFlags[i])) {
+          cbs.update[i](oldVnode, vnode, flag)
+        }
+      }
       if (isDef(i = data.hook) && isDef(i = i.update)) i(oldVnode, vnode)
     }
     // 3. 完成patch过程
@@ -572,7 +895,25 @@ export function createPatchFunction (backend) {
     //   b. 如果只有ch存在，表示旧节点不需要了。如果旧的节点时文本节点则先将节点的文本清除，然后通过addVnodes将ch批量插入到新节点elm下
     //   c. 如果只有oldCh存在，表示更新的是空节点，则需要将旧的节点通过removeVnodes全部清除
     //   d. 当只有旧节点是文本节点的时候，则清除其节点文本内容
-    if (isUndef(vnode.text)) {
+    //   有可信的patch flag时，静态子节点直接复用，单个动态文本子节点直接更新文本
+    //   块根节点只对比收集到的动态后代节点，块内的节点则不再对比子节点
+    if (optimized && isDef(flag) && !(flag & PatchFlags.BAIL)) {
+      // descendants are patched through the enclosing block
+    } else if (
+      isDef(flag) &&
+      isDef(oldVnode.dynamicChildren) &&
+      isDef(vnode.dynamicChildren) &&
+      oldVnode.dynamicChildren.length === vnode.dynamicChildren.length
+    ) {
+      patchBlock(oldVnode, vnode, insertedVnodeQueue, removeOnly)
+    } else if (isDef(flag) && !(flag & CHILDREN_FLAGS)) {
+      vnode.children = oldCh
+    } else if (isDef(flag) && (flag & PatchFlags.TEXT)) {
+      const text = ch[0]
+      const oldText = oldCh[0]
+      text.elm = oldText.elm
+      if (text.text !== oldText.text) nodeOps.setTextContent(text.elm, text.text)
+    } else if (isUndef(vnode.text)) {
       if (isDef(oldCh) && isDef(ch)) {
         if (oldCh !== ch) updateChildren(elm, oldCh, ch, insertedVnodeQueue, removeOnly)
       } else if (isDef(ch)) {
@@ -593,6 +934,68 @@ export function createPatchFunction (backend) {
     }
   }
 
+  function patchBlock (oldVnode, vnode, insertedVnodeQueue, removeOnly) {
+    const oldDynamic = oldVnode.dynamicChildren
+    const dynamic = vnode.dynamicChildren
+    for (let i = 0; i < dynamic.length; ++i) {
+      const oldNode = oldDynamic[i]
+      const node = dynamic[i]
+      if (sameVnode(oldNode, node)) {
+        patchVnode(oldNode, node, insertedVnodeQueue, removeOnly, true)
+      } else {
+        // e.g. an input whose type binding changed
+        const parentElm = nodeOps.parentNode(oldNode.elm)
+        createElm(node, insertedVnodeQueue, parentElm, oldNode.elm)
+        removeVnodes(parentElm, [oldNode], 0, 0)
+      }
+    }
+    adoptStaticElms(oldVnode.children, vnode.children)
+  }
+
+  // the static structure of a block is never diffed, its elements are only
+  // carried over so that a later full diff (e.g. against another v-if
+  // branch of the same tag) still finds them
+  function adoptStaticElms (oldCh, ch) {
+    if (isUndef(ch) || isUndef(oldCh) || oldCh === ch) return
+    for (let i = 0; i < ch.length; ++i) {
+      const c = ch[i]
+      const oldC = oldCh[i]
+      if (c === oldC) continue
+      if (isUndef(c.elm)) c.elm = oldC.elm
+      if (isUndef(c.data) || isUndef(c.data.patchFlag) || !(c.data.patchFlag & PatchFlags.BAIL)) {
+        adoptStaticElms(oldC.children, c.children)
+      }
+    }
+  }
+
+  // 传送目标改变，或者在禁用与启用之间切换时，把已有的子节点整体移动到新的位置；
+  // 挂载时目标还不存在的，每次更新时重新查找，找到后再把子节点移动过去
+  function patchTeleport (oldVnode, vnode, parentElm) {
+    const oldTeleport = oldVnode.teleport
+    const teleport = vnode.teleport
+    const unchanged = teleport.to === oldTeleport.to && teleport.disabled === oldTeleport.disabled
+    if (unchanged && (teleport.disabled || isDef(oldTeleport.targetAnchor))) {
+      teleport.target = oldTeleport.target
+      teleport.targetAnchor = oldTeleport.targetAnchor
+      return
+    }
+    if (isDef(oldTeleport.targetAnchor)) {
+      removeNode(oldTeleport.targetAnchor)
+    }
+    const target = mountTeleportTarget(vnode, unchanged)
+    if (unchanged && !target) {
+      return
+    }
+    const container = target || parentElm
+    const ref = target ? teleport.targetAnchor : vnode.anchor
+    const oldCh = oldVnode.children
+    for (let i = 0; i < oldCh.length; i++) {
+      if (isDef(oldCh[i])) {
+        moveVnode(container, oldCh[i], ref)
+      }
+    }
+  }
+
   function invokeInsertHook (vnode, queue, initial) {
     // delay insert hooks for component root nodes, invoke them after the
     // element is really inserted
@@ -605,17 +1008,23 @@ export function createPatchFunction (backend) {
     }
   }
 
-  let hydrationBailed = false
   // list of modules that can skip create hook during hydration because they
   // are already rendered on the client or has no need for initialization
   // Note: style is excluded because it relies on initial clone for future
   // deep updates (#7063).
-  const isRenderedModule = makeMap('attrs,class,staticClass,staticStyle,key')
+  // patchFlag, patchId and dynamicProps are compiler hints for block
+  // patching and have no module to initialize.
+  const isRenderedModule = makeMap(
+    'attrs,class,staticClass,staticStyle,key,patchFlag,patchId,dynamicProps'
+  )
 
   // Note: this is a browser-only function so we can assume elms are DOM nodes.
+  // 不匹配时按config.hydrationMismatch（或hydrationMismatchHandler的返回值）就地修补或重新渲染该子树，
+  // 只有片段的锚点对不上时才返回false，由最近的父元素重新渲染
   function hydrate (elm, vnode, insertedVnodeQueue, inVPre) {
     let i
     const { tag, data, children } = vnode
+    const checking = shouldCheckHydration()
     inVPre = inVPre || (data && data.pre)
     vnode.elm = elm
 
@@ -623,11 +1032,17 @@ export function createPatchFunction (backend) {
       vnode.isAsyncPlaceholder = true
       return true
     }
+    if (isTrue(vnode.isFragment)) {
+      return hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre)
+    }
+    if (isDef(vnode.componentOptions) && elm.nodeType === 8 && elm.data.indexOf('lazy:') === 0) {
+      return deferHydration(elm, vnode)
+    }
     // assert node match
-    if (process.env.NODE_ENV !== 'production') {
-      if (!assertNodeMatch(elm, vnode, inVPre)) {
-        return false
-      }
+    if (checking && !assertNodeMatch(elm, vnode, inVPre)) {
+      // a node of another type cannot be patched in place
+      reportMismatch('tag', elm, vnode)
+      return rerenderNode(elm, vnode, insertedVnodeQueue)
     }
     if (isDef(data)) {
       if (isDef(i = data.hook) && isDef(i = i.init)) i(vnode, true /* hydrating */)
@@ -638,6 +1053,8 @@ export function createPatchFunction (backend) {
       }
     }
     if (isDef(tag)) {
+      // 子节点(包括子组件)激活之后再重新渲染时，需要撤销它们的insert钩子
+      const queueLength = insertedVnodeQueue.length
       if (isDef(children)) {
         // empty element, allow client to pick up and populate children
         if (!elm.hasChildNodes()) {
@@ -646,53 +1063,67 @@ export function createPatchFunction (backend) {
           // v-html and domProps: innerHTML
           if (isDef(i = data) && isDef(i = i.domProps) && isDef(i = i.innerHTML)) {
             if (i !== elm.innerHTML) {
-              /* istanbul ignore if */
-              if (process.env.NODE_ENV !== 'production' &&
-                typeof console !== 'undefined' &&
-                !hydrationBailed
-              ) {
-                hydrationBailed = true
-                console.warn('Parent: ', elm)
-                console.warn('server innerHTML: ', i)
-                console.warn('client innerHTML: ', elm.innerHTML)
+              if (reportMismatch('innerHTML', elm, vnode) === 'patch') {
+                elm.innerHTML = i
+              } else {
+                return rerenderNode(elm, vnode, insertedVnodeQueue)
               }
-              return false
             }
           } else {
             // iterate and compare children lists
-            let childrenMatch = true
             let childNode = elm.firstChild
             for (let i = 0; i < children.length; i++) {
-              if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
-                childrenMatch = false
+              if (!childNode) {
+                // the actual childNodes list is shorter than the virtual one
+                if (reportMismatch('children', null, children[i]) !== 'patch') {
+                  return rerenderHydrated(elm, vnode, insertedVnodeQueue, queueLength)
+                }
+                for (; i < children.length; i++) {
+                  createElm(children[i], insertedVnodeQueue, elm, null, false, children, i)
+                }
                 break
               }
-              childNode = childNode.nextSibling
+              if (!hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
+                return rerenderHydrated(elm, vnode, insertedVnodeQueue, queueLength)
+              }
+              childNode = lastNodeOf(children[i]).nextSibling
             }
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
-            if (!childrenMatch || childNode) {
-              /* istanbul ignore if */
-              if (process.env.NODE_ENV !== 'production' &&
-                typeof console !== 'undefined' &&
-                !hydrationBailed
-              ) {
-                hydrationBailed = true
-                console.warn('Parent: ', elm)
-                console.warn('Mismatching childNodes vs. VNodes: ', elm.childNodes, children)
+            if (childNode) {
+              if (reportMismatch('children', childNode, null) !== 'patch') {
+                return rerenderHydrated(elm, vnode, insertedVnodeQueue, queueLength)
+              }
+              while (childNode) {
+                const next = childNode.nextSibling
+                removeNode(childNode)
+                childNode = next
               }
-              return false
             }
           }
         }
       }
       if (isDef(data)) {
         let fullInvoke = false
-        for (const key in data) {
-          if (!isRenderedModule(key)) {
+        if (checking && isDef(hydration)) {
+          const kinds = hydration.getMismatches(elm, vnode)
+          for (let i = 0; i < kinds.length; i++) {
+            if (reportMismatch(kinds[i], elm, vnode) !== 'patch') {
+              return rerenderHydrated(elm, vnode, insertedVnodeQueue, queueLength)
+            }
+            hydration.resetMismatch(elm, kinds[i])
             fullInvoke = true
-            invokeCreateHooks(vnode, insertedVnodeQueue)
-            break
+          }
+        }
+        if (fullInvoke) {
+          invokeCreateHooks(vnode, insertedVnodeQueue)
+        } else {
+          for (const key in data) {
+            if (!isRenderedModule(key)) {
+              fullInvoke = true
+              invokeCreateHooks(vnode, insertedVnodeQueue)
+              break
+            }
           }
         }
         if (!fullInvoke && data['class']) {
@@ -701,11 +1132,174 @@ export function createPatchFunction (backend) {
         }
       }
     } else if (elm.data !== vnode.text) {
+      if (checking &&
+        reportMismatch('text', elm, vnode) !== 'patch'
+      ) {
+        return rerenderNode(elm, vnode, insertedVnodeQueue)
+      }
       elm.data = vnode.text
     }
     return true
   }
 
+  // 延迟激活的组件，服务端渲染的内容保留在<!--lazy:策略-->和<!--/lazy-->之间，
+  // 策略触发前不创建组件实例，触发后强制所在的组件更新，在patchVnode中激活
+  function deferHydration (start, vnode) {
+    const nodes = []
+    let depth = 0
+    let node = start.nextSibling
+    while (node && (depth > 0 || node.nodeType !== 8 || node.data !== '/lazy')) {
+      if (node.nodeType === 8) {
+        if (node.data.indexOf('lazy:') === 0) depth++
+        else if (node.data === '/lazy') depth--
+      }
+      nodes.push(node)
+      node = node.nextSibling
+    }
+    if (!node) {
+      reportMismatch('fragment', start, vnode)
+      return false
+    }
+    vnode.anchor = node
+    const context = vnode.context
+    const lazy = vnode.lazyHydration = { ready: false, cancel: null }
+    lazy.cancel = scheduleHydration(start.data.slice(5), nodes, () => {
+      lazy.ready = true
+      context.$forceUpdate()
+    })
+    return true
+  }
+
+  function hydrateLazy (oldVnode, vnode, insertedVnodeQueue, stale) {
+    const start = oldVnode.elm
+    const end = oldVnode.anchor
+    if (stale || start.nextSibling === end) {
+      while (start.nextSibling !== end) {
+        removeNode(start.nextSibling)
+      }
+      createElm(vnode, insertedVnodeQueue, nodeOps.parentNode(start), end)
+    } else {
+      // the component mounts onto its server-rendered root, a mismatch
+      // inside of it is handled by its own patch
+      vnode.elm = start.nextSibling
+      vnode.data.hook.init(vnode, true /* hydrating */)
+      initComponent(vnode, insertedVnodeQueue)
+    }
+    removeNode(start)
+    removeNode(end)
+  }
+
+  // 内联的对象、数组prop每次渲染都是新的对象，按值比较
+  function propsChanged (oldVnode, vnode) {
+    const oldProps = oldVnode.componentOptions.propsData || emptyObject
+    const props = vnode.componentOptions.propsData || emptyObject
+    const keys = Object.keys(props)
+    return keys.length !== Object.keys(oldProps).length ||
+      keys.some(key => !looseEqual(props[key], oldProps[key]))
+  }
+
+  function reportMismatch (kind, node, vnode) {
+    return reportHydrationMismatch(kind, node, vnode, activeInstance, hydration)
+  }
+
+  // 用客户端渲染的结果替换服务端渲染的节点
+  function rerenderNode (elm, vnode, insertedVnodeQueue) {
+    createElm(vnode, insertedVnodeQueue, nodeOps.parentNode(elm), elm)
+    removeNode(elm)
+    return true
+  }
+
+  // 重新渲染一个已经部分激活的元素：已激活的子组件实例要先销毁，它们的insert钩子也不再调用
+  function rerenderHydrated (elm, vnode, insertedVnodeQueue, queueLength) {
+    insertedVnodeQueue.length = queueLength
+    teardownHydrated(vnode)
+    return rerenderNode(elm, vnode, insertedVnodeQueue)
+  }
+
+  function teardownHydrated (vnode) {
+    if (isDef(vnode.componentInstance)) {
+      vnode.componentInstance.$destroy()
+    } else if (isDef(vnode.children)) {
+      for (let i = 0; i < vnode.children.length; i++) {
+        teardownHydrated(vnode.children[i])
+      }
+    }
+  }
+
+  // 服务端渲染的片段以<!--[-->和<!--]-->两个注释节点作为起止锚点
+  function hydrateFragment (elm, vnode, insertedVnodeQueue, inVPre) {
+    if (isDef(vnode.teleport) && !vnode.teleport.disabled) {
+      return hydrateTeleport(elm, vnode, insertedVnodeQueue, inVPre)
+    }
+    if (elm.nodeType !== 8 || elm.data !== '[') {
+      reportMismatch('fragment', elm, vnode)
+      return false
+    }
+    const children = vnode.children
+    let node = elm.nextSibling
+    for (let i = 0; i < children.length; i++) {
+      if (!node) {
+        reportMismatch('fragment', null, children[i])
+        return false
+      }
+      if (!hydrate(node, children[i], insertedVnodeQueue, inVPre)) {
+        return false
+      }
+      node = lastNodeOf(children[i]).nextSibling
+    }
+    if (!node || node.nodeType !== 8 || node.data !== ']') {
+      reportMismatch('fragment', node, vnode)
+      return false
+    }
+    vnode.anchor = node
+    return true
+  }
+
+  // 服务端渲染时传送的内容是单独输出的，原位置只有<!--teleport start--><!--teleport end-->两个注释，
+  // 传送的内容由开发者放入目标元素中，同一目标中的多个teleport按渲染顺序依次激活
+  function hydrateTeleport (elm, vnode, insertedVnodeQueue, inVPre) {
+    const end = elm.nextSibling
+    if (
+      elm.nodeType !== 8 || elm.data !== 'teleport start' ||
+      !end || end.nodeType !== 8 || end.data !== 'teleport end'
+    ) {
+      reportMismatch('fragment', elm, vnode)
+      return false
+    }
+    vnode.anchor = end
+    const children = vnode.children
+    const target = mountTeleportTarget(vnode)
+    const targetAnchor = vnode.teleport.targetAnchor
+    // 服务端只能输出到选择器指定的目标中，目标是元素时内容在客户端创建
+    if (!target || typeof vnode.teleport.to !== 'string') {
+      for (let i = 0; i < children.length; i++) {
+        createElm(
+          children[i], insertedVnodeQueue,
+          target || elm.parentNode, target ? targetAnchor : end,
+          false, children, i
+        )
+      }
+      return true
+    }
+    let node = target._teleportNext || target.firstChild
+    for (let i = 0; i < children.length; i++) {
+      if (!node || node === targetAnchor) {
+        reportMismatch('fragment', null, children[i])
+        return false
+      }
+      if (!hydrate(node, children[i], insertedVnodeQueue, inVPre)) {
+        return false
+      }
+      node = lastNodeOf(children[i]).nextSibling
+    }
+    // keep later insertions next to the hydrated content
+    if (node !== targetAnchor) {
+      target.insertBefore(targetAnchor, node)
+    }
+    target._teleportNext = targetAnchor.nextSibling
+    return true
+  }
+
   function assertNodeMatch (node, vnode, inVPre) {
     if (isDef(vnode.tag)) {
       return vnode.tag.indexOf('vue-component') === 0 || (
@@ -737,7 +1331,8 @@ export function createPatchFunction (backend) {
       isInitialPatch = true
       createElm(vnode, insertedVnodeQueue)
     } else {
-      const isRealElement = isDef(oldVnode.nodeType)
+      // host nodes of custom renderers are not necessarily DOM-like
+      const isRealElement = !(oldVnode instanceof VNode)
       if (!isRealElement && sameVnode(oldVnode, vnode)) {
         // patch existing root node
         // 新旧节点相同
@@ -755,16 +1350,13 @@ export function createPatchFunction (backend) {
           if (isTrue(hydrating)) {
             if (hydrate(oldVnode, vnode, insertedVnodeQueue)) {
               invokeInsertHook(vnode, insertedVnodeQueue, true)
-              return oldVnode
-            } else if (process.env.NODE_ENV !== 'production') {
-              warn(
-                'The client-side rendered virtual DOM tree is not matching ' +
-                'server-rendered content. This is likely caused by incorrect ' +
-                'HTML markup, for example nesting block-level elements inside ' +
-                '<p>, or missing <tbody>. Bailing hydration and performing ' +
-                'full client-side render.'
-              )
+              // the root may have been re-rendered while hydrating
+              return vnode.elm
             }
+            // a root fragment whose anchors did not match, the mismatch
+            // has been reported already
+            insertedVnodeQueue.length = 0
+            teardownHydrated(vnode)
           }
           // either not server-rendered, or hydration failed.
           // create an empty node and replace it
@@ -785,7 +1377,7 @@ export function createPatchFunction (backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(lastNodeOf(oldVnode))
         )
 
         // update parent placeholder node element, recursively
@@ -6,6 +6,7 @@ export default class VNode {
   children: ?Array<VNode>;
   text: string | void;
   elm: Node | void;
+  anchor: Node | void; // end anchor of a fragment
   ns: string | void;
   context: Component | void; // rendered in this component's scope
   key: string | number | void;
@@ -20,9 +21,14 @@ export default class VNode {
   isComment: boolean; // empty comment placeholder?
   isCloned: boolean; // is a cloned node?
   isOnce: boolean; // is a v-once node?
+  isFragment: boolean; // multiple root nodes rendered as a range
+  teleport: Object | void; // target info of a <teleport> fragment
+  suspense: Object | void; // fallback of a server-rendered <suspense>
+  dynamicChildren: Array<VNode> | void; // dynamic descendants of a block root
   asyncFactory: Function | void; // async component factory function
   asyncMeta: Object | void;
   isAsyncPlaceholder: boolean;
+  lazyHydration: Object | void; // server-rendered component waiting to be hydrated
   ssrContext: Object | void;
   fnContext: Component | void; // real context vm for functional nodes
   fnOptions: ?ComponentOptions; // for SSR caching
@@ -75,9 +81,18 @@ export default class VNode {
     this.isCloned = false
     // 是否有v-once指令
     this.isOnce = false
+    // 是否为片段节点，片段节点没有对应的元素，elm和anchor分别为其起止锚点
+    this.isFragment = false
+    this.anchor = undefined
+    this.teleport = undefined
+    this.suspense = undefined
+    // 块根节点上收集的动态后代节点，更新时只需对比它们
+    this.dynamicChildren = undefined
     this.asyncFactory = asyncFactory
     this.asyncMeta = undefined
     this.isAsyncPlaceholder = false
+    // 延迟激活的组件在激活前的状态，elm和anchor为服务端输出的起止注释
+    this.lazyHydration = undefined
   }
 
   // DEPRECATED: alias for componentInstance for backwards compat.
@@ -93,6 +108,14 @@ export const createEmptyVNode = (text: string = '') => {
   node.isComment = true
   return node
 }
+// 创建一个片段节点，用来包裹多个根节点
+export function createFragmentVNode (children: Array<VNode>, key?: string | number) {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  node.key = key
+  return node
+}
+
 // 创建一个文本节点
 export function createTextVNode (val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val))
@@ -117,6 +140,8 @@ export function cloneVNode (vnode: VNode): VNode {
   cloned.isStatic = vnode.isStatic
   cloned.key = vnode.key
   cloned.isComment = vnode.isComment
+  cloned.isFragment = vnode.isFragment
+  cloned.teleport = vnode.teleport
   cloned.fnContext = vnode.fnContext
   cloned.fnOptions = vnode.fnOptions
   cloned.fnScopeId = vnode.fnScopeId
@@ -0,0 +1,36 @@
+/* @flow */
+
+import { warn } from 'core/util/index'
+import { compileToFunctions } from 'web/compiler/index'
+
+import Vue from './runtime/index'
+
+export * from './entry-runtime'
+
+// templates use the web syntax, they are only ever given as strings here
+const mount = Vue.prototype.$mount
+Vue.prototype.$mount = function (el?: any, hydrating?: boolean): Component {
+  const options = this.$options
+  if (!options.render) {
+    const template = options.template
+    if (typeof template === 'string') {
+      const { render, staticRenderFns } = compileToFunctions(template, {
+        outputSourceRange: process.env.NODE_ENV !== 'production',
+        delimiters: options.delimiters,
+        comments: options.comments
+      }, this)
+      options.render = render
+      options.staticRenderFns = staticRenderFns
+    } else if (template) {
+      if (process.env.NODE_ENV !== 'production') {
+        warn('invalid template option:' + template, this)
+      }
+      return this
+    }
+  }
+  return mount.call(this, el, hydrating)
+}
+
+Vue.compile = compileToFunctions
+
+export default Vue
@@ -0,0 +1,11 @@
+/* @flow */
+
+import Vue from './runtime/index'
+import * as nodeOps from './runtime/node-ops'
+
+export { nodeOps }
+export { serialize } from './runtime/serialize'
+export { triggerEvent } from './runtime/trigger-event'
+export { NodeOpTypes, getNodeOps, resetNodeOps } from './runtime/op-log'
+
+export default Vue
@@ -0,0 +1,7 @@
+// v-model is compiled to a value binding and an input listener, the
+// runtime part of the web directive only deals with DOM quirks
+const model = {}
+
+export default {
+  model
+}
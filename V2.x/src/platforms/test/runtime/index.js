@@ -0,0 +1,18 @@
+/* @flow */
+
+import Vue from 'core/index'
+import { extend } from 'shared/util'
+import * as nodeOps from './node-ops'
+import platformModules from './modules/index'
+import platformDirectives from './directives/index'
+
+// every tag is a plain element unless a component is registered for it
+const TestVue = Vue.createRenderer({
+  nodeOps,
+  modules: platformModules
+})
+
+// install platform runtime directives
+extend(TestVue.options.directives, platformDirectives)
+
+export default TestVue
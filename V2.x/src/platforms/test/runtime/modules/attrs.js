@@ -0,0 +1,69 @@
+/* @flow */
+
+import { isDef, isUndef, hyphenate } from 'shared/util'
+import { genClassForVnode } from 'web/util/class'
+import { getStyle } from 'web/util/style'
+import { isFalsyAttrValue } from 'web/util/attrs'
+import { setAttribute, setTextContent } from '../node-ops'
+
+// attrs, DOM props, class and style all end up as plain attributes on
+// test nodes, so they are diffed together as one map
+function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+  if (isUndef(oldVnode.data.attrs) && isUndef(vnode.data.attrs) &&
+    isUndef(oldVnode.data.domProps) && isUndef(vnode.data.domProps) &&
+    !hasClassOrStyle(oldVnode) && !hasClassOrStyle(vnode)
+  ) {
+    return
+  }
+  const elm: any = vnode.elm
+  const oldAttrs = getAttrs(oldVnode)
+  const attrs = getAttrs(vnode)
+  for (const key in attrs) {
+    if (key === 'textContent') {
+      if (attrs[key] !== oldAttrs[key]) setTextContent(elm, attrs[key])
+    } else if (elm.attrs[key] !== attrs[key]) {
+      setAttribute(elm, key, attrs[key])
+    }
+  }
+  for (const key in oldAttrs) {
+    if (isUndef(attrs[key]) && key !== 'textContent' && key in elm.attrs) {
+      setAttribute(elm, key, null)
+    }
+  }
+}
+
+function hasClassOrStyle (vnode: VNodeWithData): boolean {
+  const data = vnode.data
+  return isDef(data.staticClass) || isDef(data.class) ||
+    isDef(data.staticStyle) || isDef(data.style)
+}
+
+function getAttrs (vnode: VNodeWithData): Object {
+  const res = {}
+  const data = vnode.data
+  for (const key in data.attrs) {
+    const value = data.attrs[key]
+    if (!isFalsyAttrValue(value)) {
+      res[key] = value === true ? '' : String(value)
+    }
+  }
+  for (const key in data.domProps) {
+    const value = data.domProps[key]
+    if (isDef(value)) {
+      res[key] = key === 'textContent' ? String(value) : value
+    }
+  }
+  if (hasClassOrStyle(vnode)) {
+    const cls = genClassForVnode(vnode)
+    if (cls) res.class = cls
+    const style = getStyle(vnode, true)
+    const text = Object.keys(style).map(name => `${hyphenate(name)}:${String(style[name])};`).join('')
+    if (text) res.style = text
+  }
+  return res
+}
+
+export default {
+  create: updateAttrs,
+  update: updateAttrs
+}
@@ -0,0 +1,42 @@
+/* @flow */
+
+import { isUndef } from 'shared/util'
+import { updateListeners } from 'core/vdom/helpers/index'
+import { addEventListener, removeEventListener } from '../node-ops'
+
+let target: any
+
+function createOnceHandler (handler, event) {
+  const _target = target // save current target element in closure
+  return function onceHandler () {
+    const res = handler.apply(null, arguments)
+    if (res !== null) {
+      removeEventListener(_target, event, onceHandler)
+    }
+  }
+}
+
+function add (event: string, handler: Function, once: boolean) {
+  if (once) {
+    handler = handler._wrapper = createOnceHandler(handler, event)
+  }
+  addEventListener(target, event, handler)
+}
+
+function remove (event: string, handler: Function) {
+  removeEventListener(target, event, handler._wrapper || handler)
+}
+
+function updateEventListeners (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+  if (isUndef(oldVnode.data.on) && isUndef(vnode.data.on)) {
+    return
+  }
+  target = vnode.elm
+  updateListeners(vnode.data.on || {}, oldVnode.data.on || {}, add, remove, vnode.context)
+  target = undefined
+}
+
+export default {
+  create: updateEventListeners,
+  update: updateEventListeners
+}
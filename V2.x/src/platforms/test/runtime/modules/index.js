@@ -0,0 +1,7 @@
+import attrs from './attrs'
+import events from './events'
+
+export default [
+  attrs,
+  events
+]
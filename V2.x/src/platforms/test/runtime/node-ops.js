@@ -0,0 +1,169 @@
+/* @flow */
+
+import { NodeOpTypes, logNodeOp } from './op-log'
+
+// 测试平台的节点都是普通的JS对象，不依赖DOM
+export type TestElement = {
+  id: number;
+  type: 'element';
+  tag: string;
+  ns: ?string;
+  attrs: { [key: string]: any };
+  events: { [event: string]: Array<Function> };
+  children: Array<TestNode>;
+  parentNode: ?TestElement;
+};
+
+export type TestText = {
+  id: number;
+  type: 'text' | 'comment';
+  text: string;
+  parentNode: ?TestElement;
+};
+
+export type TestNode = TestElement | TestText;
+
+let uid = 0
+
+export function createElement (tagName: string): TestElement {
+  const node = {
+    id: uid++,
+    type: 'element',
+    tag: tagName,
+    ns: null,
+    attrs: {},
+    events: {},
+    children: [],
+    parentNode: null
+  }
+  logNodeOp({ type: NodeOpTypes.CREATE, nodeType: 'element', tag: tagName, targetNode: node })
+  return node
+}
+
+export function createElementNS (namespace: string, tagName: string): TestElement {
+  const node = createElement(tagName)
+  node.ns = namespace
+  return node
+}
+
+export function createTextNode (text: string): TestText {
+  return createText('text', text)
+}
+
+export function createComment (text: string): TestText {
+  return createText('comment', text)
+}
+
+function createText (type, text): TestText {
+  const node = { id: uid++, type, text, parentNode: null }
+  logNodeOp({ type: NodeOpTypes.CREATE, nodeType: type, text, targetNode: node })
+  return node
+}
+
+export function insertBefore (parentNode: TestElement, newNode: TestNode, referenceNode: ?TestNode) {
+  // 与DOM一样，参照节点不是父节点的子节点时抛出错误，而不是悄悄追加到末尾，
+  // 这样patch中用错锚点的问题才能在测试中暴露出来
+  if (referenceNode && referenceNode.parentNode !== parentNode) {
+    throw new Error(
+      `insertBefore: the reference node (id ${referenceNode.id}) is not a ` +
+      `child of the parent node (id ${parentNode.id}).`
+    )
+  }
+  // inserting a node before itself keeps it in place
+  if (referenceNode === newNode) {
+    referenceNode = nextSibling(newNode)
+  }
+  // moving a node detaches it first, like the DOM does
+  detach(newNode)
+  const children = parentNode.children
+  if (referenceNode) {
+    children.splice(children.indexOf(referenceNode), 0, newNode)
+  } else {
+    children.push(newNode)
+  }
+  newNode.parentNode = parentNode
+  logNodeOp({
+    type: NodeOpTypes.INSERT,
+    targetNode: newNode,
+    parentNode,
+    refNode: referenceNode || null
+  })
+}
+
+export function removeChild (node: TestElement, child: TestNode) {
+  if (child.parentNode === node) {
+    detach(child)
+    logNodeOp({ type: NodeOpTypes.REMOVE, targetNode: child, parentNode: node })
+  }
+}
+
+export function appendChild (node: TestElement, child: TestNode) {
+  insertBefore(node, child, null)
+}
+
+export function parentNode (node: TestNode): ?TestElement {
+  return node.parentNode
+}
+
+export function nextSibling (node: TestNode): ?TestNode {
+  const parent = node.parentNode
+  if (!parent) {
+    return null
+  }
+  return parent.children[parent.children.indexOf(node) + 1] || null
+}
+
+export function tagName (node: TestElement): string {
+  return node.tag
+}
+
+export function setTextContent (node: TestNode, text: string) {
+  if (node.type === 'element') {
+    node.children.forEach(child => { child.parentNode = null })
+    node.children = text ? [{ id: uid++, type: 'text', text, parentNode: node }] : []
+  } else {
+    node.text = text
+  }
+  logNodeOp({ type: NodeOpTypes.SET_TEXT, text, targetNode: node })
+}
+
+export function setStyleScope (node: TestElement, scopeId: string) {
+  setAttribute(node, scopeId, '')
+}
+
+// the rest is used by the platform modules rather than the patch function
+
+/**
+ * Set an attribute, a null value removes it.
+ */
+export function setAttribute (node: TestElement, key: string, value: any) {
+  if (value === null) {
+    delete node.attrs[key]
+  } else {
+    node.attrs[key] = value
+  }
+  logNodeOp({ type: NodeOpTypes.SET_ATTRIBUTE, key, value, targetNode: node })
+}
+
+export function addEventListener (node: TestElement, event: string, handler: Function) {
+  (node.events[event] || (node.events[event] = [])).push(handler)
+  logNodeOp({ type: NodeOpTypes.ADD_EVENT_LISTENER, event, value: handler, targetNode: node })
+}
+
+export function removeEventListener (node: TestElement, event: string, handler: Function) {
+  const handlers = node.events[event]
+  const index = handlers ? handlers.indexOf(handler) : -1
+  if (index > -1) {
+    handlers.splice(index, 1)
+    if (!handlers.length) delete node.events[event]
+    logNodeOp({ type: NodeOpTypes.REMOVE_EVENT_LISTENER, event, value: handler, targetNode: node })
+  }
+}
+
+function detach (node: TestNode) {
+  const parent = node.parentNode
+  if (parent) {
+    parent.children.splice(parent.children.indexOf(node), 1)
+    node.parentNode = null
+  }
+}
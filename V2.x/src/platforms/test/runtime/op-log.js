@@ -0,0 +1,47 @@
+/* @flow */
+
+export const NodeOpTypes = {
+  CREATE: 'create',
+  INSERT: 'insert',
+  REMOVE: 'remove',
+  SET_TEXT: 'setText',
+  SET_ATTRIBUTE: 'setAttribute',
+  ADD_EVENT_LISTENER: 'addEventListener',
+  REMOVE_EVENT_LISTENER: 'removeEventListener'
+}
+
+export type NodeOp = {
+  type: string;
+  nodeType?: string;
+  tag?: string;
+  text?: string;
+  key?: string;
+  value?: any;
+  event?: string;
+  targetNode: Object;
+  parentNode?: ?Object;
+  refNode?: ?Object;
+};
+
+// 记录所有的节点操作，测试中可以断言渲染或更新时具体做了哪些操作
+let ops: Array<NodeOp> = []
+
+export function logNodeOp (op: NodeOp) {
+  ops.push(op)
+}
+
+/**
+ * The node operations recorded since the last reset.
+ */
+export function getNodeOps (): Array<NodeOp> {
+  return ops.slice()
+}
+
+/**
+ * Clear the log, returning what it held.
+ */
+export function resetNodeOps (): Array<NodeOp> {
+  const res = ops
+  ops = []
+  return res
+}
@@ -0,0 +1,30 @@
+/* @flow */
+
+import type { TestNode } from './node-ops'
+
+/**
+ * Serialize a test node to a stable string for snapshots: attributes are
+ * sorted, and with an indent every node is put on its own line.
+ */
+export function serialize (node: TestNode, indent?: number = 0, depth?: number = 0): string {
+  const padding = indent ? ' '.repeat(indent * depth) : ''
+  if (node.type === 'text') {
+    return padding + node.text
+  }
+  if (node.type === 'comment') {
+    return `${padding}<!--${node.text}-->`
+  }
+  const attrs = Object.keys(node.attrs).sort().map(key => {
+    const value = node.attrs[key]
+    return value === '' ? key : `${key}=${JSON.stringify(String(value))}`
+  })
+  const open = `${padding}<${[node.tag].concat(attrs).join(' ')}>`
+  const close = `</${node.tag}>`
+  if (!node.children.length) {
+    return open + close
+  }
+  const children = node.children.map(child => serialize(child, indent, depth + 1))
+  return indent
+    ? `${open}\n${children.join('\n')}\n${padding}${close}`
+    : open + children.join('') + close
+}
@@ -0,0 +1,16 @@
+/* @flow */
+
+import { extend } from 'shared/util'
+import type { TestElement } from './node-ops'
+
+/**
+ * Invoke the listeners of a test element, with an event object made of
+ * the type, the target and whatever else is passed in.
+ */
+export function triggerEvent (node: TestElement, event: string, payload?: Object) {
+  const handlers = node.events[event]
+  if (handlers) {
+    const e = extend({ type: event, target: node }, payload)
+    handlers.slice().forEach(handler => handler(e))
+  }
+}
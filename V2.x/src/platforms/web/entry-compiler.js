@@ -3,3 +3,4 @@
 export { parseComponent } from 'sfc/parser'
 export { compile, compileToFunctions } from './compiler/index'
 export { ssrCompile, ssrCompileToFunctions } from './server/compiler'
+export { generateCodeFrame } from 'compiler/codeframe'
@@ -0,0 +1,22 @@
+/* @flow */
+
+// render helpers imported by render functions compiled to ES modules
+// (the esModule compiler option), keep in sync with MODULE_RENDER_HELPERS
+// in shared/constants.js. They share state (VNode, the block stack) with
+// the runtime, so they have to come from the same build as the runtime.
+export {
+  toNumber as _n,
+  toString as _s,
+  looseEqual as _q,
+  looseIndexOf as _i
+} from 'shared/util'
+export { createTextVNode as _v, createEmptyVNode as _e } from 'core/vdom/vnode'
+export { renderList as _l } from 'core/instance/render-helpers/render-list'
+export { markOnce as _o } from 'core/instance/render-helpers/render-static'
+export { checkKeyCodes as _k } from 'core/instance/render-helpers/check-keycodes'
+export { resolveScopedSlots as _u } from 'core/instance/render-helpers/resolve-slots'
+export {
+  openBlock as _ob,
+  closeBlock as _cb,
+  trackDynamic as _d
+} from 'core/instance/render-helpers/render-block'
@@ -67,6 +67,8 @@ Vue.prototype.$mount = function (
 
       // compileToFunctions函数将模板字符串(template)编译为渲染函数(render)
       const { render, staticRenderFns } = compileToFunctions(template, {
+        // 开发环境下记录模板各节点的起止位置，编译警告会带上出错的位置
+        outputSourceRange: process.env.NODE_ENV !== 'production',
         //  shouldDecodeNewlines/shouldDecodeNewlinesForHref目的是对浏览器的怪癖做兼容，bool值
         shouldDecodeNewlines,
         shouldDecodeNewlinesForHref,
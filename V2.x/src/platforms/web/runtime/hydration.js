@@ -0,0 +1,121 @@
+/* @flow */
+
+import { isDef, hyphenate } from 'shared/util'
+import { genClassForVnode } from 'web/util/class'
+import { getStyle, parseStyleText } from 'web/util/style'
+import { isBooleanAttr, isEnumeratedAttr, isFalsyAttrValue } from 'web/util/attrs'
+
+import type { HydrationMismatchKind } from 'core/vdom/helpers/hydration-mismatch'
+
+// 激活服务端渲染的内容时，由patch调用的平台相关部分：
+// 比较服务端输出的attrs、class、style与vnode的期望值，以及生成不匹配报告中的描述
+
+/**
+ * Compare what the server rendered for the attrs, class and style modules
+ * with what the vnode expects. Attributes that the vnode does not know
+ * about (scoped CSS ids, inherited attrs) are ignored.
+ */
+export function getMismatches (
+  elm: any,
+  vnode: VNodeWithData
+): Array<HydrationMismatchKind> {
+  const kinds = []
+  const attrs = getExpectedAttrs(vnode)
+  for (const key in attrs) {
+    if (attrs[key] !== elm.getAttribute(key)) {
+      kinds.push('attrs')
+      break
+    }
+  }
+  if (!sameClass(genClassForVnode(vnode), elm.getAttribute('class') || '')) {
+    kinds.push('class')
+  }
+  if (!sameStyle(getExpectedStyle(vnode), parseStyleText(elm.getAttribute('style') || ''))) {
+    kinds.push('style')
+  }
+  return kinds
+}
+
+/**
+ * Prepare a mismatched element to be patched in place by the create hooks.
+ */
+export function resetMismatch (elm: any, kind: HydrationMismatchKind) {
+  // the style module only adds properties, drop the server ones first
+  if (kind === 'style') {
+    elm.removeAttribute('style')
+  }
+}
+
+export function describeVNode (vnode: VNode): Object {
+  return {
+    tag: vnode.tag,
+    attrs: getExpectedAttrs(vnode),
+    class: isDef(vnode.data) ? genClassForVnode((vnode: any)) : '',
+    style: isDef(vnode.data) ? getExpectedStyle((vnode: any)) : {}
+  }
+}
+
+export function describeNode (node: any): Object {
+  const attrs = {}
+  for (let i = 0; i < node.attributes.length; i++) {
+    const { name, value } = node.attributes[i]
+    if (name !== 'class' && name !== 'style') attrs[name] = value
+  }
+  return {
+    tag: node.tagName.toLowerCase(),
+    attrs,
+    class: node.getAttribute('class') || '',
+    style: parseStyleText(node.getAttribute('style') || '')
+  }
+}
+
+// the attribute values as rendered by the server, null for absent ones
+function getExpectedAttrs (vnode: VNode): Object {
+  const res = {}
+  const attrs = vnode.data && vnode.data.attrs
+  for (const key in attrs) {
+    const value = attrs[key]
+    if (key === 'style') continue
+    if (isBooleanAttr(key)) {
+      res[key] = isFalsyAttrValue(value) ? null : key
+    } else if (isEnumeratedAttr(key)) {
+      res[key] = isFalsyAttrValue(value) || value === 'false' ? 'false' : 'true'
+    } else {
+      res[key] = isFalsyAttrValue(value) ? null : String(value)
+    }
+  }
+  return res
+}
+
+function getExpectedStyle (vnode: VNodeWithData): Object {
+  const style = getStyle(vnode, false)
+  const res = {}
+  for (const name in style) {
+    const value = style[name]
+    // the last vendor fallback is the one that stays in the style text
+    res[hyphenate(name)] = String(Array.isArray(value) ? value[value.length - 1] : value)
+  }
+  // the server renders a falsy v-show as an inline display: none
+  let node = vnode
+  while (isDef(node)) {
+    const dirs = node.data && node.data.directives
+    if (dirs && dirs.some(dir => dir.name === 'show' && !dir.value)) {
+      res.display = 'none'
+    }
+    node = node.parent
+  }
+  return res
+}
+
+function sameClass (a: string, b: string): boolean {
+  const normalize = cls => cls.trim().split(/\s+/).filter(c => c).sort().join(' ')
+  return normalize(a) === normalize(b)
+}
+
+function sameStyle (a: Object, b: Object): boolean {
+  const keys = Object.keys(a)
+  if (keys.length !== Object.keys(b).length) {
+    return false
+  }
+  return keys.every(key => isDef(b[key]) && String(b[key]).trim() === a[key].trim())
+}
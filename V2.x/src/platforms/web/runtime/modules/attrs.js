@@ -1,5 +1,6 @@
 /* @flow */
 
+import { PatchFlags } from 'shared/constants'
 import { isIE, isIE9, isEdge } from 'core/util/env'
 
 import {
@@ -17,7 +18,7 @@ import {
   isFalsyAttrValue
 } from 'web/util/index'
 
-function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData, patchFlag?: number) {
   const opts = vnode.componentOptions
   if (isDef(opts) && opts.Ctor.options.inheritAttrs === false) {
     return
@@ -34,7 +35,11 @@ function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
     attrs = vnode.data.attrs = extend({}, attrs)
   }
 
+  // compiled bindings keep the same keys, only the listed ones can change
+  const dynamicProps = isDef(patchFlag) ? vnode.data.dynamicProps : undefined
+
   for (key in attrs) {
+    if (isDef(dynamicProps) && dynamicProps.indexOf(key) < 0) continue
     cur = attrs[key]
     old = oldAttrs[key]
     if (old !== cur) {
@@ -47,6 +52,9 @@ function updateAttrs (oldVnode: VNodeWithData, vnode: VNodeWithData) {
   if ((isIE || isEdge) && attrs.value !== oldAttrs.value) {
     setAttr(elm, 'value', attrs.value)
   }
+  if (isDef(dynamicProps)) {
+    return
+  }
   for (key in oldAttrs) {
     if (isUndef(attrs[key])) {
       if (isXlink(key)) {
@@ -114,5 +122,6 @@ function baseSetAttr (el, key, value) {
 
 export default {
   create: updateAttrs,
-  update: updateAttrs
+  update: updateAttrs,
+  patchFlag: PatchFlags.PROPS
 }
@@ -1,5 +1,6 @@
 /* @flow */
 
+import { PatchFlags } from 'shared/constants'
 import {
   isDef,
   isUndef
@@ -44,5 +45,6 @@ function updateClass (oldVnode: any, vnode: any) {
 
 export default {
   create: updateClass,
-  update: updateClass
+  update: updateClass,
+  patchFlag: PatchFlags.CLASS
 }
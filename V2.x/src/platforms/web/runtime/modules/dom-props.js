@@ -1,8 +1,9 @@
 /* @flow */
 
+import { PatchFlags } from 'shared/constants'
 import { isDef, isUndef, extend, toNumber } from 'shared/util'
 
-function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData) {
+function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData, patchFlag?: number) {
   if (isUndef(oldVnode.data.domProps) && isUndef(vnode.data.domProps)) {
     return
   }
@@ -15,12 +16,18 @@ function updateDOMProps (oldVnode: VNodeWithData, vnode: VNodeWithData) {
     props = vnode.data.domProps = extend({}, props)
   }
 
-  for (key in oldProps) {
-    if (isUndef(props[key])) {
-      elm[key] = ''
+  // compiled bindings keep the same keys, only the listed ones can change
+  const dynamicProps = isDef(patchFlag) ? vnode.data.dynamicProps : undefined
+
+  if (isUndef(dynamicProps)) {
+    for (key in oldProps) {
+      if (isUndef(props[key])) {
+        elm[key] = ''
+      }
     }
   }
   for (key in props) {
+    if (isDef(dynamicProps) && dynamicProps.indexOf(key) < 0) continue
     cur = props[key]
     // ignore children if the node has textContent or innerHTML,
     // as these will throw away existing DOM nodes and cause removal errors
@@ -91,5 +98,6 @@ function isDirtyWithModifiers (elm: any, newVal: string): boolean {
 
 export default {
   create: updateDOMProps,
-  update: updateDOMProps
+  update: updateDOMProps,
+  patchFlag: PatchFlags.PROPS
 }
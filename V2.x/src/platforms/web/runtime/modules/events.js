@@ -1,5 +1,6 @@
 /* @flow */
 
+import { PatchFlags } from 'shared/constants'
 import { isDef, isUndef } from 'shared/util'
 import { updateListeners } from 'core/vdom/helpers/index'
 import { withMacroTask, isIE, supportsPassive } from 'core/util/index'
@@ -83,5 +84,6 @@ function updateDOMListeners (oldVnode: VNodeWithData, vnode: VNodeWithData) {
 
 export default {
   create: updateDOMListeners,
-  update: updateDOMListeners
+  update: updateDOMListeners,
+  patchFlag: PatchFlags.EVENTS
 }
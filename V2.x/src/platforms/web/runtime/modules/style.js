@@ -1,5 +1,6 @@
 /* @flow */
 
+import { PatchFlags } from 'shared/constants'
 import { getStyle, normalizeStyleBinding } from 'web/util/style'
 import { cached, camelize, extend, isDef, isUndef } from 'shared/util'
 
@@ -89,5 +90,6 @@ function updateStyle (oldVnode: VNodeWithData, vnode: VNodeWithData) {
 
 export default {
   create: updateStyle,
-  update: updateStyle
+  update: updateStyle,
+  patchFlag: PatchFlags.STYLE
 }
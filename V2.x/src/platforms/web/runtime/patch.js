@@ -1,6 +1,7 @@
 /* @flow */
 
 import * as nodeOps from 'web/runtime/node-ops'
+import * as hydration from 'web/runtime/hydration'
 import { createPatchFunction } from 'core/vdom/patch'
 import baseModules from 'core/vdom/modules/index'
 import platformModules from 'web/runtime/modules/index'
@@ -9,4 +10,4 @@ import platformModules from 'web/runtime/modules/index'
 // built-in modules have been applied.
 const modules = platformModules.concat(baseModules)
 
-export const patch: Function = createPatchFunction({ nodeOps, modules })
+export const patch: Function = createPatchFunction({ nodeOps, modules, hydration })
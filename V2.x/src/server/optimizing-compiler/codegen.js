@@ -11,7 +11,8 @@ import {
   genText,
   genElement,
   genChildren,
-  CodegenState
+  CodegenState,
+  resolvePatchIds
 } from 'compiler/codegen/index'
 
 import {
@@ -42,10 +43,7 @@ export function generate (
 ): CodegenResult {
   const state = new CodegenState(options)
   const code = ast ? genSSRElement(ast, state) : '_c("div")'
-  return {
-    render: `with(this){return ${code}}`,
-    staticRenderFns: state.staticRenderFns
-  }
+  return resolvePatchIds(`with(this){return ${code}}`, state.staticRenderFns)
 }
 
 function genSSRElement (el: ASTElement, state: CodegenState): string {
@@ -9,7 +9,7 @@ export const createCompiler = createCompilerCreator(function baseCompile (
   template: string,
   options: CompilerOptions
 ): CompiledResult {
-  const ast = parse(template.trim(), options)
+  const ast = parse(template, options)
   optimize(ast, options)
   const code = generate(ast, options)
   return {
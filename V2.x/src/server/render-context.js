@@ -13,9 +13,23 @@ type RenderState = {
   rendered: number;
   total: number;
   children: Array<VNode>;
+} | {
+  type: 'Teleport';
+  rendered: number;
+  total: number;
+  children: Array<VNode>;
+  target: string;
+} | {
+  type: 'Suspense';
+  rendered: number;
+  total: number;
+  children: Array<VNode>;
+  fallback: Array<VNode>;
+  activeInstance: Component;
 } | {
   type: 'Component';
   prevActive: Component;
+  endTag: string;
 } | {
   type: 'ComponentWithCache';
   buffer: Array<string>;
@@ -73,6 +87,8 @@ export class RenderContext {
     switch (lastState.type) {
       case 'Element':
       case 'Fragment':
+      case 'Teleport':
+      case 'Suspense':
         const { children, total } = lastState
         const rendered = lastState.rendered++
         if (rendered < total) {
@@ -81,7 +97,13 @@ export class RenderContext {
           this.renderStates.pop()
           if (lastState.type === 'Element') {
             this.write(lastState.endTag, this.next)
+          } else if (lastState.type === 'Suspense') {
+            // every async dependency resolved, emit the captured content
+            this.write(this.write.captureBuffer.pop().html + '<!--]-->', this.next)
           } else {
+            if (lastState.type === 'Teleport') {
+              this.flushTeleport(lastState.target)
+            }
             this.next()
           }
         }
@@ -89,7 +111,11 @@ export class RenderContext {
       case 'Component':
         this.renderStates.pop()
         this.activeInstance = lastState.prevActive
-        this.next()
+        if (lastState.endTag) {
+          this.write(lastState.endTag, this.next)
+        } else {
+          this.next()
+        }
         break
       case 'ComponentWithCache':
         this.renderStates.pop()
@@ -116,6 +142,58 @@ export class RenderContext {
         break
     }
   }
+
+  // teleported content is exposed as context.teleports[target], to be
+  // injected into the target element of the page template
+  flushTeleport (target: string) {
+    const html = this.write.captureBuffer.pop().html
+    const context = this.userContext
+    if (context) {
+      const teleports = context.teleports || (context.teleports = {})
+      teleports[target] = (teleports[target] || '') + html
+    }
+  }
+
+  // discards what has been rendered inside the closest <suspense> and
+  // renders its fallback instead. returns false if there is no boundary.
+  renderSuspenseFallback (): boolean {
+    const states = this.renderStates
+    let i = states.length
+    while (i--) {
+      if (states[i].type === 'Suspense') break
+    }
+    if (i < 0) {
+      return false
+    }
+    const boundary: any = states[i]
+    const inner = states.splice(i + 1)
+    const write: any = this.write
+    // unwind from the innermost state
+    let j = inner.length
+    while (j--) {
+      const state: any = inner[j]
+      if (state.type === 'Teleport') {
+        write.captureBuffer.pop()
+      } else if (state.type === 'ComponentWithCache') {
+        state.buffer.length = state.bufferIndex
+        state.componentBuffer.length = state.bufferIndex
+        if (state.bufferIndex === 0) {
+          write.caching = false
+        }
+      }
+    }
+    write.captureBuffer.pop()
+    this.activeInstance = boundary.activeInstance
+    states[i] = {
+      type: 'Element',
+      children: boundary.fallback,
+      rendered: 0,
+      total: boundary.fallback.length,
+      endTag: '<!--]-->'
+    }
+    this.next()
+    return true
+  }
 }
 
 function normalizeAsync (cache, method) {
@@ -6,6 +6,7 @@ import { RenderContext } from './render-context'
 import { generateComponentTrace } from 'core/util/debug'
 import { ssrCompileToFunctions } from 'web/server/compiler'
 import { installSSRHelpers } from './optimizing-compiler/runtime-helpers'
+import { getHydrationStrategy } from 'core/vdom/helpers/lazy-hydration'
 
 import { isDef, isUndef, isTrue } from 'shared/util'
 
@@ -55,6 +56,8 @@ function renderNode (node, isRoot, context) {
     renderComponent(node, isRoot, context)
   } else if (isDef(node.tag)) {
     renderElement(node, isRoot, context)
+  } else if (isTrue(node.isFragment)) {
+    renderFragment(node, context)
   } else if (isTrue(node.isComment)) {
     if (isDef(node.asyncFactory)) {
       // async component
@@ -165,13 +168,30 @@ function renderComponentInner (node, isRoot, context) {
     context.activeInstance
   )
   normalizeRender(child)
-  const childNode = child._render()
-  childNode.parent = node
-  context.renderStates.push({
-    type: 'Component',
-    prevActive
-  })
-  renderNode(childNode, isRoot, context)
+  // components hydrated lazily are wrapped in <!--lazy:strategy--> and
+  // <!--/lazy--> so the client can leave their markup alone until then
+  const strategy = isRoot ? null : getHydrationStrategy(child.$options)
+  const render = () => {
+    const childNode = child._render()
+    childNode.parent = node
+    context.renderStates.push({
+      type: 'Component',
+      prevActive,
+      endTag: strategy ? '<!--/lazy-->' : ''
+    })
+    if (strategy) {
+      context.write(`<!--lazy:${strategy}-->`, () => renderNode(childNode, isRoot, context))
+    } else {
+      renderNode(childNode, isRoot, context)
+    }
+  }
+  // wait for components whose data() returns a promise
+  if (child._asyncData) {
+    const reject = err => rejectAsync(context, err)
+    child._asyncData.then(render, reject).catch(reject)
+  } else {
+    render()
+  }
 }
 
 function renderAsyncComponent (node, isRoot, context) {
@@ -219,7 +239,7 @@ function renderAsyncComponent (node, isRoot, context) {
     return
   }
 
-  const reject = context.done
+  const reject = err => rejectAsync(context, err)
   let res
   try {
     res = factory(resolve, reject)
@@ -288,6 +308,88 @@ function renderElement (el, isRoot, context) {
   }
 }
 
+// fragments are delimited by comment anchors so the client can hydrate them
+function renderFragment (node, context) {
+  const { write, next } = context
+  const children: Array<VNode> = node.children
+  const teleport = node.teleport
+  if (isDef(node.suspense)) {
+    renderSuspense(node, context)
+  } else if (isDef(teleport) && !teleport.disabled && !teleport.offscreen) {
+    renderTeleport(node, teleport.to, context)
+  } else if (children.length === 0) {
+    write('<!--[--><!--]-->', next)
+  } else {
+    context.renderStates.push({
+      type: 'Element',
+      children,
+      rendered: 0,
+      total: children.length,
+      endTag: '<!--]-->'
+    })
+    write('<!--[-->', next)
+  }
+}
+
+// 传送的内容不输出到当前位置，而是收集到context.teleports中，原位置只输出两个注释作为占位
+// 目标是元素时服务端无法输出到其中，只输出占位注释，内容在客户端激活时创建
+function renderTeleport (node, target, context) {
+  const { write, next } = context
+  if (typeof target !== 'string') {
+    write('<!--teleport start--><!--teleport end-->', next)
+    return
+  }
+  write('<!--teleport start--><!--teleport end-->', () => {
+    startCapture(write)
+    context.renderStates.push({
+      type: 'Teleport',
+      children: node.children,
+      rendered: 0,
+      total: node.children.length,
+      target
+    })
+    next()
+  })
+}
+
+// <suspense>的内容先写入单独的缓冲区，所有异步依赖完成后再整体输出，
+// 如果其中的异步依赖失败，则丢弃已渲染的内容并改为输出fallback
+function renderSuspense (node, context) {
+  const { write, next } = context
+  write('<!--[-->', () => {
+    startCapture(write)
+    context.renderStates.push({
+      type: 'Suspense',
+      children: node.children,
+      rendered: 0,
+      total: node.children.length,
+      fallback: node.suspense.fallback,
+      activeInstance: context.activeInstance
+    })
+    next()
+  })
+}
+
+function startCapture (write) {
+  write.captureBuffer.push({
+    html: '',
+    cacheDepth: write.cacheBuffer.length
+  })
+}
+
+// an async dependency failing inside a <suspense> renders the boundary's
+// fallback, otherwise the whole render fails
+function rejectAsync (context, err) {
+  if (context.renderSuspenseFallback()) {
+    process.env.NODE_ENV !== 'production' && warnOnce(
+      `[vue-server-renderer] Async dependency failed inside <suspense>, ` +
+      `rendering its fallback instead: ${String(err)}`
+    )
+  } else {
+    context.done(err)
+  }
+}
+
 function hasAncestorData (node: VNode) {
   const parentNode = node.parent
   return isDef(parentNode) && (isDef(parentNode.data) || hasAncestorData(parentNode))
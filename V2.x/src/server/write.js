@@ -25,10 +25,20 @@ export function createWriteFunction (
 ): Function {
   let stackDepth = 0
   const cachedWrite = (text, next) => {
-    if (text && cachedWrite.caching) {
+    // content inside <teleport> and <suspense> is captured and emitted
+    // later. only components cached within the capture keep a copy of it.
+    const captures = cachedWrite.captureBuffer
+    const capture = captures[captures.length - 1]
+    if (text && capture) {
+      capture.html += text
+    }
+    if (
+      text && cachedWrite.caching &&
+      (!capture || cachedWrite.cacheBuffer.length > capture.cacheDepth)
+    ) {
       cachedWrite.cacheBuffer[cachedWrite.cacheBuffer.length - 1] += text
     }
-    const waitForNext = write(text, next)
+    const waitForNext = capture ? false : write(text, next)
     if (waitForNext !== true) {
       if (stackDepth >= MAX_STACK_DEPTH) {
         defer(() => {
@@ -46,5 +56,6 @@ export function createWriteFunction (
   cachedWrite.caching = false
   cachedWrite.cacheBuffer = []
   cachedWrite.componentBuffer = []
+  cachedWrite.captureBuffer = []
   return cachedWrite
 }
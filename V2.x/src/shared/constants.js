@@ -17,5 +17,27 @@ export const LIFECYCLE_HOOKS = [
   'destroyed',
   'activated',
   'deactivated',
-  'errorCaptured'
+  'errorCaptured',
+  'renderTracked',
+  'renderTriggered'
 ]
+
+// render helpers that do not depend on the component instance, render
+// functions compiled to ES modules import them instead of reading them
+// from the instance (see platforms/web/entry-render-helpers.js)
+export const MODULE_RENDER_HELPERS = [
+  '_o', '_n', '_s', '_l', '_q', '_i', '_k', '_v', '_e', '_u', '_ob', '_cb', '_d'
+]
+
+// flags emitted by the template compiler on element vnodes (data.patchFlag),
+// telling the patch which parts of the element may change between renders
+export const PatchFlags = {
+  TEXT: 1, // children are a single dynamic text node
+  CLASS: 1 << 1, // dynamic class binding
+  STYLE: 1 << 2, // dynamic style binding
+  PROPS: 1 << 3, // dynamic attrs/domProps, listed in data.dynamicProps
+  EVENTS: 1 << 4, // listeners, which may close over the render scope
+  KEYED_CHILDREN: 1 << 5, // children contain a keyed v-for
+  UNKEYED_CHILDREN: 1 << 6, // other children with dynamic parts
+  BAIL: 1 << 7 // children change shape (v-if, v-for, slots, components)
+}